@@ -3,16 +3,28 @@ import { Factory } from 'pip-services3-components-node';
 import { Descriptor } from 'pip-services3-commons-node';
 
 import { CouchbaseConnection } from '../persistence/CouchbaseConnection';
+import { CouchbaseLock } from '../lock/CouchbaseLock';
+import { CouchbaseCache } from '../cache/CouchbaseCache';
 
 /**
  * Creates Couchbase components by their descriptors.
  * 
+ * Registered components can be instantiated by containers from their configuration:
+ * 
+ * - <code>pip-services:connection:couchbase:\*:1.0</code>  [[CouchbaseConnection]] shared by persistences
+ * - <code>pip-services:lock:couchbase:\*:1.0</code>        [[CouchbaseLock]] distributed lock
+ * - <code>pip-services:cache:couchbase:\*:1.0</code>       [[CouchbaseCache]] distributed cache
+ * 
  * @see [[https://pip-services3-node.github.io/pip-services3-components-node/classes/build.factory.html Factory]]
  * @see [[CouchbaseConnection]]
+ * @see [[CouchbaseLock]]
+ * @see [[CouchbaseCache]]
  */
 export class DefaultCouchbaseFactory extends Factory {
-	public static readonly Descriptor: Descriptor = new Descriptor("pip-services", "factory", "rpc", "default", "1.0");
+	public static readonly Descriptor: Descriptor = new Descriptor("pip-services", "factory", "couchbase", "default", "1.0");
     public static readonly CouchbaseConnectionDescriptor: Descriptor = new Descriptor("pip-services", "connection", "couchbase", "*", "1.0");
+    public static readonly CouchbaseLockDescriptor: Descriptor = new Descriptor("pip-services", "lock", "couchbase", "*", "1.0");
+    public static readonly CouchbaseCacheDescriptor: Descriptor = new Descriptor("pip-services", "cache", "couchbase", "*", "1.0");
 
     /**
 	 * Create a new instance of the factory.
@@ -20,5 +32,7 @@ export class DefaultCouchbaseFactory extends Factory {
     public constructor() {
         super();
         this.registerAsType(DefaultCouchbaseFactory.CouchbaseConnectionDescriptor, CouchbaseConnection);
+        this.registerAsType(DefaultCouchbaseFactory.CouchbaseLockDescriptor, CouchbaseLock);
+        this.registerAsType(DefaultCouchbaseFactory.CouchbaseCacheDescriptor, CouchbaseCache);
     }
 }
@@ -0,0 +1,271 @@
+/** @module cache */
+import { ConfigParams } from 'pip-services3-commons-node';
+import { IConfigurable } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
+import { IReferenceable } from 'pip-services3-commons-node';
+import { IUnreferenceable } from 'pip-services3-commons-node';
+import { IOpenable } from 'pip-services3-commons-node';
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+import { ICache } from 'pip-services3-components-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+
+import { CouchbaseBucketConnector } from '../persistence/CouchbaseBucketConnector';
+import { CouchbaseErrorMapper } from '../persistence/CouchbaseErrorMapper';
+import { CouchbaseExpiry } from '../persistence/CouchbaseExpiry';
+
+/**
+ * Distributed cache that stores values in Couchbase.
+ * It works with couchbase and ephemeral buckets.
+ *
+ * Cached values are documents with expiry, so they are removed by the server
+ * when their timeout is over. Couchbase expiry has a granularity of seconds,
+ * so timeouts are rounded up to whole seconds. Timeouts longer than 30 days
+ * are sent as absolute timestamps, see [[CouchbaseExpiry]].
+ *
+ * The cache uses a shared [[CouchbaseConnection]] when it is referenced
+ * or creates a local one from its own configuration, see [[CouchbaseBucketConnector]].
+ *
+ * ### Configuration parameters ###
+ *
+ * - bucket:                      (optional) Couchbase bucket name (default: bucket of the connection)
+ * - connection(s):
+ *   - discovery_key:             (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
+ *   - host:                      host name or IP address
+ *   - port:                      port number
+ *   - uri:                       resource URI or connection string with all parameters in it
+ * - credential(s):
+ *   - store_key:                 (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
+ *   - username:                  (optional) user name
+ *   - password:                  (optional) user password
+ * - options:
+ *   - timeout:                   (optional) default timeout in milliseconds to keep values (default: 60000)
+ *   - key_prefix:                (optional) prefix of cached document keys (default: cache:)
+ *   - value_format:              (optional) format of cached values: json or raw (default: json).
+ *                                JSON values can be any serializable objects. Raw values are strings or buffers
+ *                                stored as bytes and retrieved as buffers
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>           (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:connection:couchbase:\*:1.0</code> (optional) Shared [[CouchbaseConnection]]
+ * - <code>\*:discovery:\*:\*:1.0</code>        (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services
+ * - <code>\*:credential-store:\*:\*:1.0</code> (optional) Credential stores to resolve credentials
+ *
+ * ### Example ###
+ *
+ *     let cache = new CouchbaseCache();
+ *     cache.configure(ConfigParams.fromTuples(
+ *       "bucket", "cache",
+ *       "connection.host", "localhost",
+ *       "connection.port", 8091
+ *     ));
+ *
+ *     cache.open("123", (err) => {
+ *       ...
+ *     });
+ *
+ *     cache.store("123", "key1", "ABC", 10000, (err) => {
+ *         cache.retrieve("123", "key1", (err, value) => {
+ *             console.log(value);     // Result: "ABC"
+ *         });
+ *     });
+ */
+export class CouchbaseCache implements ICache, IConfigurable, IReferenceable, IUnreferenceable, IOpenable {
+    private _opened: boolean = false;
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+    /**
+     * The connector to the Couchbase bucket.
+     */
+    protected _connector: CouchbaseBucketConnector = new CouchbaseBucketConnector();
+    /**
+     * The Couchbase collection that stores cached values.
+     */
+    protected _collection: any;
+    /**
+     * The default timeout in milliseconds to keep values.
+     */
+    protected _timeout: number = 60000;
+    /**
+     * The prefix of cached document keys.
+     */
+    protected _keyPrefix: string = "cache:";
+    /**
+     * The format of cached values: json or raw.
+     */
+    protected _valueFormat: string = "json";
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._connector.configure(config);
+
+        this._timeout = config.getAsIntegerWithDefault("options.timeout", this._timeout);
+        this._keyPrefix = config.getAsStringWithDefault("options.key_prefix", this._keyPrefix);
+        this._valueFormat = config.getAsStringWithDefault("options.value_format", this._valueFormat);
+
+        if (this._valueFormat != "json" && this._valueFormat != "raw") {
+            throw new ConfigException(null, "BAD_VALUE_FORMAT", "Value format " + this._valueFormat + " is not supported")
+                .withDetails("value_format", this._valueFormat);
+        }
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+        this._connector.setReferences(references);
+    }
+
+    /**
+	 * Unsets (clears) previously set references to dependent components.
+     */
+    public unsetReferences(): void {
+        this._connector.unsetReferences();
+    }
+
+    /**
+	 * Checks if the component is opened.
+	 *
+	 * @returns true if the component has been opened and false otherwise.
+     */
+    public isOpen(): boolean {
+        return this._opened;
+    }
+
+    /**
+	 * Opens the component.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public open(correlationId: string, callback?: (err: any) => void): void {
+        if (this._opened) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._connector.open(correlationId, (err, bucket) => {
+            if (err == null) {
+                this._collection = bucket.defaultCollection();
+                this._opened = true;
+                this._logger.debug(correlationId, "Opened couchbase cache in bucket %s", this._connector.getBucketName());
+            }
+
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+	 * Closes component and frees used resources.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback?: (err: any) => void): void {
+        if (!this._opened) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._connector.close(correlationId, (err) => {
+            this._opened = false;
+            this._collection = null;
+
+            if (callback) callback(err);
+        });
+    }
+
+    private checkOpened(correlationId: string, callback: (err: any) => void): boolean {
+        if (!this._opened) {
+            callback(new InvalidStateException(correlationId, 'NOT_OPENED', 'Couchbase cache is not opened'));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Retrieves cached value from the cache using its key.
+     * If value is missing in the cache or expired it returns null.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a unique value key.
+     * @param callback          callback function that receives cached value or error.
+     */
+    public retrieve(correlationId: string, key: string, callback: (err: any, value: any) => void): void {
+        if (!this.checkOpened(correlationId, (err) => callback(err, null))) return;
+
+        this._collection.get(this._keyPrefix + key, (err, result) => {
+            // Missing or expired value
+            if (CouchbaseErrorMapper.isDocumentNotFound(err)) {
+                callback(null, null);
+                return;
+            }
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
+            callback(err, err == null && result != null ? result.content : null);
+        });
+    }
+
+    /**
+     * Stores value in the cache with expiration time.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a unique value key.
+     * @param value             a value to store.
+     * @param timeout           expiration timeout in milliseconds (default: configured timeout).
+     * @param callback          (optional) callback function that receives an error or null for success
+     */
+    public store(correlationId: string, key: string, value: any, timeout: number,
+        callback?: (err: any) => void): void {
+        if (!this.checkOpened(correlationId, (err) => { if (callback) callback(err); })) return;
+
+        if (this._valueFormat == "raw") {
+            if (typeof value === "string") {
+                value = Buffer.from(value);
+            } else if (!Buffer.isBuffer(value)) {
+                let err = new BadRequestException(correlationId, "BAD_VALUE", "Raw cache values must be strings or buffers")
+                    .withDetails("key", key);
+                if (callback) callback(err);
+                return;
+            }
+        }
+
+        let expiry = Math.max(1, Math.ceil((timeout || this._timeout) / 1000));
+        let options = { expiry: CouchbaseExpiry.toServerExpiry(expiry) };
+
+        this._collection.upsert(this._keyPrefix + key, value, options, (err) => {
+            if (callback) callback(CouchbaseErrorMapper.map(correlationId, err));
+        });
+    }
+
+    /**
+     * Removes a value from the cache by its key.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a unique value key.
+     * @param callback          (optional) callback function that receives an error or null for success
+     */
+    public remove(correlationId: string, key: string, callback?: (err: any) => void): void {
+        if (!this.checkOpened(correlationId, (err) => { if (callback) callback(err); })) return;
+
+        this._collection.remove(this._keyPrefix + key, (err) => {
+            // Ignore missing or expired values
+            if (CouchbaseErrorMapper.isDocumentNotFound(err))
+                err = null;
+
+            if (callback) callback(CouchbaseErrorMapper.map(correlationId, err));
+        });
+    }
+}
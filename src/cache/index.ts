@@ -0,0 +1,5 @@
+/** 
+ * @module cache
+ * @preferred
+ */
+export { CouchbaseCache } from './CouchbaseCache';
@@ -4,4 +4,20 @@ export class CouchbaseConnectionParams {
     public uri: string;
     public username: string;
     public password: string;
-}
\ No newline at end of file
+    /**
+     * The flag to connect over TLS with <code>couchbases://</code> scheme.
+     */
+    public tls: boolean;
+    /**
+     * The path to CA certificate to validate the server over TLS.
+     */
+    public trustStorePath: string;
+    /**
+     * The path to client certificate for certificate authentication.
+     */
+    public certificatePath: string;
+    /**
+     * The path to client key for certificate authentication.
+     */
+    public keyPath: string;
+}
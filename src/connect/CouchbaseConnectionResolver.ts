@@ -28,10 +28,17 @@ import { CouchbaseConnectionParams } from './CouchbaseConnectionParams';
  *   - port:                        port number (default: 27017)
  *   - database:                    database (bucket) name
  *   - uri:                         resource URI or connection string with all parameters in it
+ *   - tls:                         (optional) connect over TLS with couchbases:// scheme (default: false)
+ *   - ca_cert:                     (optional) path to CA certificate to validate the server
+ *   - client_cert:                 (optional) path to client certificate for certificate authentication
+ *   - client_key:                  (optional) path to client key for certificate authentication
+ *   - network:                     (optional) network type: default, external or auto (default: auto)
  * - credential(s):
  *   - store_key:                   (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
  *   - username:                    user name
  *   - password:                    user password
+ *   - certificate_path:            path to client certificate to authenticate instead of user name and password
+ *   - key_path:                    path to client key for the certificate
  * 
  * ### References ###
  * 
@@ -68,7 +75,42 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
         this._credentialResolver.setReferences(references);
     }
     
+    private isTls(connection: ConnectionParams): boolean {
+        let uri = connection.getUri();
+        return connection.getAsBooleanWithDefault("tls", false)
+            || connection.getProtocol() == "couchbases"
+            || (uri != null && uri.indexOf("couchbases://") == 0);
+    }
+
+    private validateTls(correlationId: string, connection: ConnectionParams): any {
+        let tls = this.isTls(connection);
+        let caCert = connection.getAsNullableString("ca_cert");
+        let clientCert = connection.getAsNullableString("client_cert");
+        let clientKey = connection.getAsNullableString("client_key");
+
+        if (!tls && (caCert != null || clientCert != null || clientKey != null)) {
+            return new ConfigException(correlationId, "NO_TLS", "Certificates can only be used when TLS is turned on")
+                .withDetails("tls", tls);
+        }
+
+        if (clientCert != null && clientKey == null)
+            return new ConfigException(correlationId, "NO_CLIENT_KEY", "Client key is not set for client certificate");
+        if (clientKey != null && clientCert == null)
+            return new ConfigException(correlationId, "NO_CLIENT_CERT", "Client certificate is not set for client key");
+
+        let network = connection.getAsNullableString("network");
+        if (network != null && network != "default" && network != "external" && network != "auto") {
+            return new ConfigException(correlationId, "BAD_NETWORK", "Network type " + network + " is not supported")
+                .withDetails("network", network);
+        }
+
+        return null;
+    }
+
     private validateConnection(correlationId: string, connection: ConnectionParams): any {
+        let error = this.validateTls(correlationId, connection);
+        if (error) return error;
+
         let uri = connection.getUri();
         if (uri != null) return null;
 
@@ -99,6 +141,38 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
         return null;
     }
 
+    private validateCredential(correlationId: string, credential: CredentialParams): any {
+        if (credential == null) return null;
+
+        for (let key of ["username", "password", "certificate_path", "key_path"]) {
+            let value = credential.getAsNullableString(key);
+            if (value != null && value.trim() == "") {
+                return new ConfigException(correlationId, "EMPTY_CREDENTIAL", "Credential " + key + " is empty")
+                    .withDetails("key", key);
+            }
+        }
+
+        let username = credential.getUsername();
+        let password = credential.getPassword();
+        let certificatePath = credential.getAsNullableString("certificate_path");
+        let keyPath = credential.getAsNullableString("key_path");
+
+        if (username != null && certificatePath != null)
+            return new ConfigException(correlationId, "AMBIGUOUS_CREDENTIAL", "Credential cannot have both user name and certificate");
+
+        if (username != null && password == null)
+            return new ConfigException(correlationId, "NO_PASSWORD", "Password is not set for user " + username);
+        if (password != null && username == null)
+            return new ConfigException(correlationId, "NO_USERNAME", "User name is not set for password");
+
+        if (certificatePath != null && keyPath == null)
+            return new ConfigException(correlationId, "NO_KEY_PATH", "Key path is not set for client certificate");
+        if (keyPath != null && certificatePath == null)
+            return new ConfigException(correlationId, "NO_CERTIFICATE_PATH", "Certificate path is not set for client key");
+
+        return null;
+    }
+
     private composeConnection(connections: ConnectionParams[], credential: CredentialParams): CouchbaseConnectionParams {
         let result = new CouchbaseConnectionParams();
 
@@ -106,12 +180,30 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
             result.username = credential.getUsername();
             if (result.username)
                 result.password = credential.getPassword();
+            result.certificatePath = credential.getAsNullableString("certificate_path");
+            result.keyPath = credential.getAsNullableString("key_path");
+        }
+
+        // Define TLS settings
+        result.tls = false;
+        for (let connection of connections) {
+            result.tls = result.tls || this.isTls(connection);
+            result.trustStorePath = result.trustStorePath || connection.getAsNullableString("ca_cert");
+            if (result.certificatePath == null) {
+                result.certificatePath = connection.getAsNullableString("client_cert");
+                result.keyPath = connection.getAsNullableString("client_key");
+            }
         }
 
         // If there is a uri then return it immediately
         for (let connection of connections) {
             result.uri = connection.getUri();
-            if (result.uri) return result;
+            if (result.uri) {
+                // TLS setting shall not be silently ignored by a plain uri
+                if (result.tls && !/^couchbases:\/\//i.test(result.uri))
+                    result.uri = "couchbases://" + result.uri.replace(/^[a-z]+:\/\//i, "");
+                return result;
+            }
         }
 
         // Define hosts
@@ -142,6 +234,13 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
         options.remove('database');
         options.remove('username');
         options.remove('password');
+        options.remove('protocol');
+        options.remove('tls');
+        options.remove('ca_cert');
+        options.remove('client_cert');
+        options.remove('client_key');
+        options.remove('certificate_path');
+        options.remove('key_path');
         let params = '';
         let keys = options.getKeys();
         for (let key of keys) {
@@ -158,7 +257,7 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
             params = '?' + params;
 
         // Compose uri
-        result.uri = "couchbase://" + hosts + database + params;
+        result.uri = (result.tls ? "couchbases://" : "couchbase://") + hosts + database + params;
 
         return result;
     }
@@ -189,7 +288,9 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
                 this._credentialResolver.lookup(correlationId, (err: any, result: CredentialParams) => {
                     credential = result;
 
-                    // Credentials are not validated right now
+                    // Validate credential
+                    if (err == null)
+                        err = this.validateCredential(correlationId, credential);
 
                     callback(err);
                 });
@@ -199,9 +300,32 @@ export class CouchbaseConnectionResolver implements IReferenceable, IConfigurabl
                 callback(err, null);
             else {
                 let connection = this.composeConnection(connections, credential);
+
+                // Certificate authentication works only over TLS
+                if (connection.certificatePath != null && !connection.tls) {
+                    err = new ConfigException(correlationId, "NO_TLS", "Certificate authentication requires TLS connection");
+                    callback(err, null);
+                    return;
+                }
+
                 callback(null, connection);
             }
         });
     }
 
+    /**
+     * Resolves Couchbase connection URI from connection and credential parameters asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that receives resolved connection parameters.
+     */
+    public resolveAsync(correlationId: string): Promise<CouchbaseConnectionParams> {
+        return new Promise<CouchbaseConnectionParams>((resolve, reject) => {
+            this.resolve(correlationId, (err, connection) => {
+                if (err) reject(err);
+                else resolve(connection);
+            });
+        });
+    }
+
 }
@@ -3,4 +3,6 @@
  */
 export * from './connect';
 export * from './persistence';
+export * from './lock';
+export * from './cache';
 export * from './build';
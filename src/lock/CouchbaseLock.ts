@@ -0,0 +1,276 @@
+/** @module lock */
+import { ConfigParams } from 'pip-services3-commons-node';
+import { IConfigurable } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
+import { IReferenceable } from 'pip-services3-commons-node';
+import { IUnreferenceable } from 'pip-services3-commons-node';
+import { IOpenable } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
+import { InvalidStateException } from 'pip-services3-commons-node';
+import { Lock } from 'pip-services3-components-node';
+import { CompositeLogger } from 'pip-services3-components-node';
+
+import { CouchbaseBucketConnector } from '../persistence/CouchbaseBucketConnector';
+import { CouchbaseErrorMapper } from '../persistence/CouchbaseErrorMapper';
+import { CouchbaseExpiry } from '../persistence/CouchbaseExpiry';
+
+/**
+ * Distributed lock that is implemented based on Couchbase.
+ *
+ * A lock is a document inserted with expiry, so only one owner can hold it
+ * and abandoned locks expire on their own. The document keeps a unique token
+ * generated for every acquisition, and only the acquisition that holds the token can release it.
+ * Releasing a key that was acquired through another lock instance does nothing.
+ * Couchbase expiry has a granularity of seconds, so lock timeouts are rounded up to whole seconds.
+ * Timeouts longer than 30 days are sent as absolute timestamps, see [[CouchbaseExpiry]].
+ *
+ * The lock uses a shared [[CouchbaseConnection]] when it is referenced
+ * or creates a local one from its own configuration, see [[CouchbaseBucketConnector]].
+ *
+ * ### Configuration parameters ###
+ *
+ * - bucket:                      (optional) Couchbase bucket name (default: bucket of the connection)
+ * - connection(s):
+ *   - discovery_key:             (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
+ *   - host:                      host name or IP address
+ *   - port:                      port number
+ *   - uri:                       resource URI or connection string with all parameters in it
+ * - credential(s):
+ *   - store_key:                 (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
+ *   - username:                  (optional) user name
+ *   - password:                  (optional) user password
+ * - options:
+ *   - retry_timeout:             (optional) timeout in milliseconds to retry lock acquisition (default: 100)
+ *   - key_prefix:                (optional) prefix of lock document keys (default: lock:)
+ *
+ * ### References ###
+ *
+ * - <code>\*:logger:\*:\*:1.0</code>           (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/log.ilogger.html ILogger]] components to pass log messages
+ * - <code>\*:connection:couchbase:\*:1.0</code> (optional) Shared [[CouchbaseConnection]]
+ * - <code>\*:discovery:\*:\*:1.0</code>        (optional) [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]] services
+ * - <code>\*:credential-store:\*:\*:1.0</code> (optional) Credential stores to resolve credentials
+ *
+ * ### Example ###
+ *
+ *     let lock = new CouchbaseLock();
+ *     lock.configure(ConfigParams.fromTuples(
+ *       "bucket", "app",
+ *       "connection.host", "localhost",
+ *       "connection.port", 8091
+ *     ));
+ *
+ *     lock.open("123", (err) => {
+ *       ...
+ *     });
+ *
+ *     lock.acquireLock("123", "key1", 3000, 1000, (err) => {
+ *       try {
+ *         // Processing...
+ *       } finally {
+ *         lock.releaseLock("123", "key1", (err) => {
+ *           // Continue...
+ *         });
+ *       }
+ *     });
+ */
+export class CouchbaseLock extends Lock implements IConfigurable, IReferenceable, IUnreferenceable, IOpenable {
+    private _opened: boolean = false;
+    // Owner tokens of locks acquired by this instance by their keys
+    private _tokens: { [key: string]: string } = {};
+
+    /**
+     * The logger.
+     */
+    protected _logger: CompositeLogger = new CompositeLogger();
+    /**
+     * The connector to the Couchbase bucket.
+     */
+    protected _connector: CouchbaseBucketConnector = new CouchbaseBucketConnector();
+    /**
+     * The Couchbase collection that stores locks.
+     */
+    protected _collection: any;
+    /**
+     * The prefix of lock document keys.
+     */
+    protected _keyPrefix: string = "lock:";
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        super.configure(config);
+
+        this._connector.configure(config);
+        this._keyPrefix = config.getAsStringWithDefault("options.key_prefix", this._keyPrefix);
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._logger.setReferences(references);
+        this._connector.setReferences(references);
+    }
+
+    /**
+	 * Unsets (clears) previously set references to dependent components.
+     */
+    public unsetReferences(): void {
+        this._connector.unsetReferences();
+    }
+
+    /**
+	 * Checks if the component is opened.
+	 *
+	 * @returns true if the component has been opened and false otherwise.
+     */
+    public isOpen(): boolean {
+        return this._opened;
+    }
+
+    /**
+	 * Opens the component.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public open(correlationId: string, callback?: (err: any) => void): void {
+        if (this._opened) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._connector.open(correlationId, (err, bucket) => {
+            if (err == null) {
+                this._collection = bucket.defaultCollection();
+                this._opened = true;
+                this._logger.debug(correlationId, "Opened couchbase lock in bucket %s", this._connector.getBucketName());
+            }
+
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+	 * Closes component and frees used resources.
+	 *
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback?: (err: any) => void): void {
+        if (!this._opened) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._connector.close(correlationId, (err) => {
+            this._opened = false;
+            this._collection = null;
+            this._tokens = {};
+
+            if (callback) callback(err);
+        });
+    }
+
+    private checkOpened(correlationId: string, callback: (err: any) => void): boolean {
+        if (!this._opened) {
+            callback(new InvalidStateException(correlationId, 'NOT_OPENED', 'Couchbase lock is not opened'));
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Makes a single attempt to acquire a lock by its key.
+     * It returns immediately a positive or negative result.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a unique lock key to acquire.
+     * @param ttl               a lock timeout (time to live) in milliseconds.
+     * @param callback          callback function that receives a lock result or error.
+     */
+    public tryAcquireLock(correlationId: string, key: string, ttl: number,
+        callback: (err: any, result: boolean) => void): void {
+        if (!this.checkOpened(correlationId, (err) => callback(err, false))) return;
+
+        let expiry = Math.max(1, Math.ceil(ttl / 1000));
+        let token = IdGenerator.nextLong();
+        let value = { owner: token };
+
+        let options = { expiry: CouchbaseExpiry.toServerExpiry(expiry) };
+
+        this._collection.insert(this._keyPrefix + key, value, options, (err, result) => {
+            // Lock is held by another owner
+            if (CouchbaseErrorMapper.isDocumentExists(err)) {
+                callback(null, false);
+                return;
+            }
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
+            if (!err) {
+                this._tokens[key] = token;
+                this._logger.trace(correlationId, "Acquired lock %s for %d sec", key, expiry);
+            }
+
+            callback(err, err == null);
+        });
+    }
+
+    /**
+     * Releases prevously acquired lock by its key.
+     * Locks acquired by other owners or through other lock instances are not released.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a unique lock key to release.
+     * @param callback          callback function that receives error or null for success.
+     */
+    public releaseLock(correlationId: string, key: string, callback?: (err: any) => void): void {
+        if (!this.checkOpened(correlationId, (err) => { if (callback) callback(err); })) return;
+
+        let objectId = this._keyPrefix + key;
+        let token = this._tokens[key];
+        if (token == null) {
+            this._logger.debug(correlationId, "Lock %s was not acquired by this instance and cannot be released", key);
+            if (callback) callback(null);
+            return;
+        }
+
+        this._collection.get(objectId, (err, result) => {
+            // Expired or already released lock
+            if (CouchbaseErrorMapper.isDocumentNotFound(err)) {
+                delete this._tokens[key];
+                if (callback) callback(null);
+                return;
+            }
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
+            if (err || result == null || result.content == null || result.content.owner != token) {
+                // The lock expired and was acquired by another owner
+                if (!err) delete this._tokens[key];
+                if (!err)
+                    this._logger.debug(correlationId, "Lock %s is held by another owner and cannot be released", key);
+                if (callback) callback(err);
+                return;
+            }
+
+            // CAS protects a lock that expired and was acquired by another owner in between
+            this._collection.remove(objectId, { cas: result.cas }, (err) => {
+                if (CouchbaseErrorMapper.isDocumentNotFound(err) || CouchbaseErrorMapper.isCasMismatch(err))
+                    err = null;
+                err = CouchbaseErrorMapper.map(correlationId, err);
+
+                if (!err) {
+                    delete this._tokens[key];
+                    this._logger.trace(correlationId, "Released lock %s", key);
+                }
+
+                if (callback) callback(err);
+            });
+        });
+    }
+}
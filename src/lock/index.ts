@@ -0,0 +1,5 @@
+/** 
+ * @module lock
+ * @preferred
+ */
+export { CouchbaseLock } from './CouchbaseLock';
@@ -0,0 +1,21 @@
+/** @module persistence */
+
+/**
+ * Statuses of items processed by bulk operations in [[IdentifiableCouchbasePersistence]].
+ *
+ * @see [[CouchbaseBulkResult]]
+ */
+export class BulkResultStatus {
+    /**
+     * The item was successfully written or deleted.
+     */
+    public static readonly Succeeded: string = "succeeded";
+    /**
+     * The operation failed. The error is returned in the result.
+     */
+    public static readonly Failed: string = "failed";
+    /**
+     * The item to update or delete was not found.
+     */
+    public static readonly NotFound: string = "not_found";
+}
@@ -0,0 +1,42 @@
+/** @module persistence */
+
+/**
+ * Modes of optimistic concurrency control in [[IdentifiableCouchbasePersistence]].
+ *
+ * The values are used in <code>options.optimistic_locking</code> configuration parameter.
+ * In all locking modes the persistence returns objects with a concurrency token
+ * in the version field. When the token is passed back to <code>update</code>, <code>set</code>
+ * or <code>deleteById</code> the operation fails with ConflictException
+ * if the stored object was changed since the token was received.
+ *
+ * @see [[IdentifiableCouchbasePersistence]]
+ */
+export class ConcurrencyMode {
+    /**
+     * No concurrency control. The last writer wins.
+     */
+    public static readonly None: string = "none";
+    /**
+     * Uses Couchbase CAS values as concurrency tokens.
+     * The tokens are not stored in documents and are returned only
+     * by key-value operations like <code>getOneById</code> and <code>update</code>.
+     */
+    public static readonly Cas: string = "cas";
+    /**
+     * Uses an integer version stored in documents and incremented by every update.
+     * The version is returned with objects retrieved by queries as well.
+     */
+    public static readonly Version: string = "version";
+
+    /**
+     * Checks if the value is a valid concurrency mode.
+     *
+     * @param value     a value to check.
+     * @returns true if the value is a known concurrency mode and false otherwise.
+     */
+    public static isValid(value: string): boolean {
+        return value == ConcurrencyMode.None
+            || value == ConcurrencyMode.Cas
+            || value == ConcurrencyMode.Version;
+    }
+}
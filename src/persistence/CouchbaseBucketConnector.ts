@@ -0,0 +1,197 @@
+/** @module persistence */
+import { ConfigParams } from 'pip-services3-commons-node';
+import { IConfigurable } from 'pip-services3-commons-node';
+import { IReferences } from 'pip-services3-commons-node';
+import { IReferenceable } from 'pip-services3-commons-node';
+import { IUnreferenceable } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { DependencyResolver } from 'pip-services3-commons-node';
+
+import { CouchbaseConnection } from './CouchbaseConnection';
+
+/**
+ * Helper that gives components like [[CouchbaseLock]] and [[CouchbaseCache]] access to a Couchbase bucket.
+ *
+ * It uses a shared [[CouchbaseConnection]] when it is referenced
+ * or creates a local one from the component configuration. The local connection
+ * is opened and closed together with the bucket and is closed again when the bucket fails to open.
+ *
+ * ### Configuration parameters ###
+ *
+ * - bucket:                      (optional) Couchbase bucket name (default: bucket of the connection)
+ * - connection(s):               connection parameters of the local connection, see [[CouchbaseConnection]]
+ * - credential(s):               credential parameters of the local connection, see [[CouchbaseConnection]]
+ *
+ * ### References ###
+ *
+ * - <code>\*:connection:couchbase:\*:1.0</code> (optional) Shared [[CouchbaseConnection]]
+ *
+ * ### Example ###
+ *
+ *     let connector = new CouchbaseBucketConnector();
+ *     connector.configure(config);
+ *     connector.setReferences(references);
+ *
+ *     connector.open("123", (err, bucket) => {
+ *         let collection = bucket.defaultCollection();
+ *         ...
+ *     });
+ */
+export class CouchbaseBucketConnector implements IConfigurable, IReferenceable, IUnreferenceable {
+    private static _defaultConfig: ConfigParams = ConfigParams.fromTuples(
+        "bucket", null,
+        "dependencies.connection", "*:connection:couchbase:*:1.0",
+    );
+
+    private _config: ConfigParams;
+    private _references: IReferences;
+    private _dependencyResolver: DependencyResolver = new DependencyResolver(CouchbaseBucketConnector._defaultConfig);
+    private _connection: CouchbaseConnection;
+    private _localConnection: boolean;
+    private _ownBucketName: string;
+    private _bucketName: string;
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        config = config.setDefaults(CouchbaseBucketConnector._defaultConfig);
+        this._config = config;
+
+        this._dependencyResolver.configure(config);
+
+        this._ownBucketName = config.getAsNullableString("bucket");
+    }
+
+    /**
+	 * Sets references to dependent components.
+	 *
+	 * @param references 	references to locate the component dependencies.
+     */
+    public setReferences(references: IReferences): void {
+        this._references = references;
+
+        // Get connection
+        this._dependencyResolver.setReferences(references);
+        this._connection = this._dependencyResolver.getOneOptional('connection');
+        // Or create a local one
+        if (this._connection == null) {
+            this._connection = this.createConnection();
+            this._localConnection = true;
+        } else {
+            this._localConnection = false;
+        }
+    }
+
+    /**
+	 * Unsets (clears) previously set references to dependent components.
+     */
+    public unsetReferences(): void {
+        this._connection = null;
+    }
+
+    private createConnection(): CouchbaseConnection {
+        let connection = new CouchbaseConnection(this._ownBucketName);
+
+        if (this._config)
+            connection.configure(this._config);
+
+        if (this._references)
+            connection.setReferences(this._references);
+
+        return connection;
+    }
+
+    /**
+     * Gets the connection used to access the bucket.
+     *
+     * @returns the shared or local connection or null if it is not created yet.
+     */
+    public getConnection(): CouchbaseConnection {
+        return this._connection;
+    }
+
+    /**
+     * Gets the name of the opened bucket.
+     *
+     * @returns the bucket name or null if the bucket is not opened.
+     */
+    public getBucketName(): string {
+        return this._bucketName;
+    }
+
+    /**
+     * Opens the local connection when it is used and then opens the bucket.
+     *
+     * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives the opened bucket or error.
+     */
+    public open(correlationId: string, callback: (err: any, bucket: any) => void): void {
+        if (this._connection == null) {
+            this._connection = this.createConnection();
+            this._localConnection = true;
+        }
+
+        // The local connection must not stay open when the bucket can't be used
+        let fail = (err) => {
+            if (this._localConnection) {
+                this._connection.close(correlationId, () => callback(err, null));
+            } else {
+                callback(err, null);
+            }
+        };
+
+        let openCurl = (err) => {
+            if (err) {
+                callback(err, null);
+                return;
+            }
+
+            let bucketName = this._ownBucketName || this._connection.getBucketName();
+            if (bucketName == null) {
+                fail(new ConfigException(correlationId, "NO_BUCKET", "Couchbase bucket name is not defined"));
+                return;
+            }
+
+            this._connection.openBucket(correlationId, bucketName, (err, bucket) => {
+                if (err == null && bucket == null) {
+                    err = new ConfigException(correlationId, "NO_BUCKET", "Couchbase bucket " + bucketName + " is not found")
+                        .withDetails("bucket", bucketName);
+                }
+
+                if (err) {
+                    fail(err);
+                    return;
+                }
+
+                this._bucketName = bucketName;
+                callback(null, bucket);
+            });
+        };
+
+        if (this._localConnection) {
+            this._connection.open(correlationId, openCurl);
+        } else {
+            openCurl(null);
+        }
+    }
+
+    /**
+     * Closes the local connection when it is used.
+     * Shared connections are closed by their owners.
+     *
+     * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @param callback 			callback function that receives error or null no errors occured.
+     */
+    public close(correlationId: string, callback: (err: any) => void): void {
+        this._bucketName = null;
+
+        if (this._localConnection && this._connection != null) {
+            this._connection.close(correlationId, callback);
+        } else {
+            callback(null);
+        }
+    }
+}
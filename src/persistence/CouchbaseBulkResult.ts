@@ -0,0 +1,34 @@
+/** @module persistence */
+
+/**
+ * Result of a single item processed by a bulk operation.
+ * Bulk operations return results in the order of passed items.
+ *
+ * ### Example ###
+ *
+ *     persistence.setMany(correlationId, items, (err, results) => {
+ *         let failed = results.filter(result => result.status == BulkResultStatus.Failed);
+ *         console.log(failed.length);                  // Result: 0
+ *     });
+ *
+ * @see [[IdentifiableCouchbasePersistence]]
+ * @see [[BulkResultStatus]]
+ */
+export class CouchbaseBulkResult<T, K> {
+    /**
+     * The unique id of the processed item.
+     */
+    public id: K;
+    /**
+     * The processing status defined in [[BulkResultStatus]].
+     */
+    public status: string;
+    /**
+     * The written or deleted item when the operation succeeded.
+     */
+    public item?: T;
+    /**
+     * The error when the operation failed.
+     */
+    public error?: any;
+}
@@ -1,5 +1,7 @@
 /** @module persistence */
 let async = require('async');
+/** @hidden */
+let _ = require('lodash');
 
 import { IReferenceable } from 'pip-services3-commons-node';
 import { IReferences } from 'pip-services3-commons-node';
@@ -7,9 +9,13 @@ import { IConfigurable } from 'pip-services3-commons-node';
 import { IOpenable } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
 import { ConnectionException } from 'pip-services3-commons-node';
+import { UnauthorizedException } from 'pip-services3-commons-node';
 import { CompositeLogger } from 'pip-services3-components-node';
 
 import { CouchbaseConnectionResolver } from '../connect/CouchbaseConnectionResolver';
+import { CouchbaseConnectionParams } from '../connect/CouchbaseConnectionParams';
+import { CouchbaseHealth } from './CouchbaseHealth';
+import { CouchbaseErrorMapper } from './CouchbaseErrorMapper';
 
 /**
  * Couchbase connection using plain couchbase driver.
@@ -19,24 +25,41 @@ import { CouchbaseConnectionResolver } from '../connect/CouchbaseConnectionResol
  * over the data items must be implemented in child classes by
  * accessing <code>this._collection</code> or <code>this._model</code> properties.
  * 
+ * The connection can be shared by several persistences. Persistences configured
+ * with a different bucket open it on demand through [[openBucket]], so all of them
+ * use a single cluster connection.
+ * 
  * ### Configuration parameters ###
  * 
  * - bucket:                      (optional) Couchbase bucket name
+ * - scope:                       (optional) Couchbase scope name for persistences with native collections (default: _default)
  * - connection(s):    
  *   - discovery_key:             (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *   - host:                      host name or IP address
  *   - port:                      port number (default: 27017)
  *   - uri:                       resource URI or connection string with all parameters in it
+ *   - tls:                       (optional) connect over TLS with couchbases:// scheme (default: false)
+ *   - ca_cert:                   (optional) path to CA certificate to validate the server
+ *   - client_cert:               (optional) path to client certificate for certificate authentication
+ *   - client_key:                (optional) path to client key for certificate authentication
+ *   - network:                   (optional) network type: default, external or auto (default: auto)
  * - credential(s):    
  *   - store_key:                 (optional) a key to retrieve the credentials from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/auth.icredentialstore.html ICredentialStore]]
  *   - username:                  (optional) user name
  *   - password:                  (optional) user password
+ *   - certificate_path:          (optional) path to client certificate to authenticate instead of user name and password
+ *   - key_path:                  (optional) path to client key for the certificate
  * - options:
- *   - auto_create:               (optional) automatically create missing bucket (default: false)
+ *   - auto_create:               (optional) automatically create missing bucket and scope (default: false)
  *   - auto_index:                (optional) automatically create primary index (default: false)
  *   - flush_enabled:             (optional) bucket flush enabled (default: false)
  *   - bucket_type:               (optional) bucket type (default: couchbase)
  *   - ram_quota:                 (optional) RAM quota in MB (default: 100)
+ *   - ready_timeout:             (optional) timeout in milliseconds to wait until auto created bucket is ready (default: 30000)
+ *   - ready_interval:            (optional) interval in milliseconds between checks of bucket readiness (default: 500)
+ *   - health_check_interval:     (optional) interval in milliseconds between background health checks, 0 to disable monitoring (default: 0)
+ *   - reconnect_timeout:         (optional) initial timeout in milliseconds between reconnection attempts, doubled after every attempt (default: 1000)
+ *   - max_reconnect_timeout:     (optional) maximum timeout in milliseconds between reconnection attempts (default: 30000)
  * 
  * ### References ###
  * 
@@ -49,6 +72,7 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
 
     private _defaultConfig: ConfigParams = ConfigParams.fromTuples(
         "bucket", null,
+        "scope", null,
 
         // connections.*
         // credential.*
@@ -58,6 +82,11 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
         "options.flush_enabled", true,
         "options.bucket_type", "couchbase",
         "options.ram_quota", 100,
+        "options.ready_timeout", 30000,
+        "options.ready_interval", 500,
+        "options.health_check_interval", 0,
+        "options.reconnect_timeout", 1000,
+        "options.max_reconnect_timeout", 30000,
     );
 
     /** 
@@ -85,6 +114,19 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
      * The Couchbase bucket object.
      */
     protected _bucket: any;
+    /**
+     * The Couchbase scope name.
+     */
+    protected _scopeName: string;
+    /**
+     * The flag that is false when the last health check has failed.
+     */
+    protected _healthy: boolean = false;
+
+    private _buckets: any = {};
+    private _monitorTimer: any;
+    private _reconnectAttempts: number = 0;
+    private _reconnectListeners: ((correlationId: string) => void)[] = [];
 
     /**
      * Creates a new instance of the connection component.
@@ -106,6 +148,7 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
         this._connectionResolver.configure(config);
 
         this._bucketName = config.getAsStringWithDefault('bucket', this._bucketName);
+        this._scopeName = config.getAsStringWithDefault('scope', this._scopeName);
         this._options = this._options.override(config.getSection("options"));
     }
 
@@ -125,10 +168,19 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
 	 * @returns true if the component has been opened and false otherwise.
      */
     public isOpen(): boolean {
-        // return this._connection.readyState == 1;
         return this._connection != null;
     }
 
+    /**
+     * Checks if the opened connection passed the last health check.
+     * Without health monitoring it stays healthy since the connection was opened.
+     * 
+     * @returns true if the connection is opened and healthy and false otherwise.
+     */
+    public isHealthy(): boolean {
+        return this._connection != null && this._healthy;
+    }
+
     /**
 	 * Opens the component.
 	 * 
@@ -136,6 +188,12 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
      * @param callback 			callback function that receives error or null no errors occured.
      */
     public open(correlationId: string, callback?: (err: any) => void): void {
+        // Connecting again would leak the opened cluster
+        if (this._connection != null) {
+            if (callback) callback(null);
+            return;
+        }
+
         this._connectionResolver.resolve(correlationId, (err, connection) => {
             if (err) {
                 if (callback) callback(err);
@@ -146,76 +204,203 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
             this._logger.debug(correlationId, "Connecting to couchbase");
 
             let couchbase = require('couchbase');
-            this._connection = new couchbase.Cluster(connection.uri);
-            if (connection.username)
-                this._connection.authenticate(connection.username, connection.password);
-
-            let newBucket = false;
 
             async.series([
                 (callback) => {
-                    let autocreate = this._options.getAsBoolean('auto_create');
-                    if (!autocreate) {
-                        callback();
-                        return;
-                    }
-
-                    let options = {
-                        bucketType: this._options.getAsStringWithDefault('bucket_type', 'couchbase'),
-                        ramQuotaMB: this._options.getAsLongWithDefault('ram_quota', 100),
-                        flushEnabled: this._options.getAsBooleanWithDefault('flush_enabled', true) ? 1 : 0
-                    };
-
-                    this._connection.manager().createBucket(this._bucketName, options, (err, result) => {
-                        newBucket = err == null;
-
-                        if (err && err.message && err.message.indexOf('name already exist') > 0) {
-                            callback();
-                            return;
-                        }
-
-                        // Delay to allow couchbase to initialize the bucket
-                        // Otherwise opening will fail
-                        if (err == null)
-                            setTimeout(() => { callback(err); }, 2000);
-                        else callback(err);
+                    this.connectCluster(correlationId, connection, (err, cluster) => {
+                        this._connection = cluster;
+                        callback(err);
                     });
                 },
                 (callback) => {
-                    this._bucket = this._connection.openBucket(this._bucketName, (err) => {
-                        if (err) {
-                            this._logger.error(correlationId, err, "Failed to open bucket");
-                            err = new ConnectionException(correlationId, "CONNECT_FAILED", "Connection to couchbase failed").withCause(err);
-                            this._bucket = null;
-                        } else {
-                            this._logger.debug(correlationId, "Connected to couchbase bucket %s", this._bucketName);
-                        }
-
+                    this.prepareBucket(correlationId, this._bucketName, (err, bucket) => {
+                        this._bucket = bucket;
                         callback(err);
                     });
                 },
                 (callback) => {
-                    let autoIndex = this._options.getAsBoolean('auto_index');
-                    if (!newBucket && !autoIndex) {
+                    let autocreate = this._options.getAsBoolean('auto_create');
+                    if (!autocreate || this._scopeName == null || this._scopeName == "_default") {
                         callback();
                         return;
                     }
 
-                    this._bucket.manager().createPrimaryIndex({ ignoreIfExists: 1}, (err) => {
-                        callback(err);
+                    this._bucket.collections().createScope(this._scopeName, (err) => {
+                        if (err instanceof couchbase.ScopeExistsError)
+                            err = null;
+                        callback(CouchbaseErrorMapper.map(correlationId, err));
                     });
                 }
             ], (err) => {
                 if (err) {
+                    if (this._connection)
+                        this._connection.close(() => {});
                     this._connection = null;
                     this._bucket = null;
+                } else {
+                    this._healthy = true;
+                    this._reconnectAttempts = 0;
+                    this.scheduleHealthCheck(correlationId, this._options.getAsLong('health_check_interval'));
                 }
 
-                callback(err);
+                if (callback) callback(err);
             });
         });
     }
 
+    private connectCluster(correlationId: string, connection: CouchbaseConnectionParams,
+        callback: (err: any, cluster: any) => void): void {
+        let couchbase = require('couchbase');
+
+        let options: any = {};
+        if (connection.certificatePath)
+            options.authenticator = new couchbase.CertificateAuthenticator(connection.certificatePath, connection.keyPath);
+        else if (connection.username)
+            options.authenticator = new couchbase.PasswordAuthenticator(connection.username, connection.password);
+        if (connection.trustStorePath)
+            options.trustStorePath = connection.trustStorePath;
+
+        couchbase.connect(connection.uri, options, (err, cluster) => {
+            if (err) {
+                this._logger.error(correlationId, err, "Failed to connect to couchbase");
+                // Wrong credentials shall not be hidden behind a generic connection error
+                let mapped = CouchbaseErrorMapper.map(correlationId, err);
+                err = mapped instanceof UnauthorizedException ? mapped
+                    : new ConnectionException(correlationId, "CONNECT_FAILED", "Connection to couchbase failed").withCause(err);
+            }
+
+            callback(err, cluster);
+        });
+    }
+
+    /**
+	 * Opens the component asynchronously.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the component is opened.
+     */
+    public openAsync(correlationId: string): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            this.open(correlationId, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Creates a bucket when auto creation is enabled, opens it and waits until it is ready.
+     */
+    private prepareBucket(correlationId: string, bucketName: string, callback: (err: any, bucket: any) => void): void {
+        let couchbase = require('couchbase');
+        let newBucket = false;
+        let bucket = null;
+
+        async.series([
+            (callback) => {
+                let autocreate = this._options.getAsBoolean('auto_create');
+                if (!autocreate) {
+                    callback();
+                    return;
+                }
+
+                let settings = {
+                    name: bucketName,
+                    bucketType: this._options.getAsStringWithDefault('bucket_type', 'couchbase'),
+                    ramQuotaMB: this._options.getAsLongWithDefault('ram_quota', 100),
+                    flushEnabled: this._options.getAsBooleanWithDefault('flush_enabled', true)
+                };
+
+                this._connection.buckets().createBucket(settings, (err) => {
+                    newBucket = err == null;
+
+                    if (err instanceof couchbase.BucketExistsError)
+                        err = null;
+
+                    callback(CouchbaseErrorMapper.map(correlationId, err));
+                });
+            },
+            (callback) => {
+                bucket = this._connection.bucket(bucketName);
+
+                // Buckets are opened lazily, so ping to make sure the bucket is available.
+                // New buckets need time to initialize, so they are pinged until they are ready
+                let timeout = newBucket ? this._options.getAsLong('ready_timeout') : 0;
+                this.waitUntilReady(correlationId, bucketName, timeout, (callback) => { this.pingBucket(bucket, bucketName, newBucket, callback); }, (err) => {
+                    if (err) {
+                        this._logger.error(correlationId, err, "Failed to open bucket");
+                        if (!(err instanceof ConnectionException))
+                            err = new ConnectionException(correlationId, "CONNECT_FAILED", "Connection to couchbase failed").withCause(err);
+                    } else {
+                        this._logger.debug(correlationId, "Connected to couchbase bucket %s", bucketName);
+                    }
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                let autoIndex = this._options.getAsBoolean('auto_index');
+                if (!newBucket && !autoIndex) {
+                    callback();
+                    return;
+                }
+
+                // Query service learns about new buckets with a delay
+                let timeout = newBucket ? this._options.getAsLong('ready_timeout') : 0;
+                this.waitUntilReady(correlationId, bucketName, timeout, (callback) => {
+                    this._connection.queryIndexes().createPrimaryIndex(bucketName, { ignoreIfExists: true }, callback);
+                }, callback);
+            }
+        ], (err) => {
+            callback(err, err == null ? bucket : null);
+        });
+    }
+
+    private pingBucket(bucket: any, bucketName: string, newBucket: boolean, callback: (err: any) => void): void {
+        bucket.ping({ serviceTypes: ["kv"] }, (err, report) => {
+            if (err == null) {
+                let endpoints = _.flatten(_.values(report != null ? report.services : null));
+                let isOk = (endpoint) => endpoint.status == "ok";
+                // A new bucket is ready when it is initialized on all nodes, while an existing one
+                // stays usable when some nodes of the cluster are down
+                let ready = newBucket
+                    ? endpoints.length > 0 && _.every(endpoints, isOk)
+                    : _.some(endpoints, isOk);
+                if (!ready)
+                    err = new ConnectionException(null, "BUCKET_NOT_READY", "Bucket " + bucketName + " is not ready")
+                        .withDetails("report", report);
+            }
+            callback(err);
+        });
+    }
+
+    /**
+     * Repeats an action until it succeeds or the timeout expires.
+     */
+    private waitUntilReady(correlationId: string, bucketName: string, timeout: number,
+        action: (callback: (err: any) => void) => void, callback: (err: any) => void): void {
+        let interval = this._options.getAsLongWithDefault('ready_interval', 500);
+        let deadline = Date.now() + timeout;
+
+        let attempt = () => {
+            action((err) => {
+                if (err == null || timeout <= 0) {
+                    callback(err);
+                } else if (Date.now() + interval > deadline) {
+                    err = new ConnectionException(correlationId, "BUCKET_NOT_READY",
+                        "Couchbase bucket " + bucketName + " did not become ready in " + timeout + " ms")
+                        .withCause(err);
+                    callback(err);
+                } else {
+                    this._logger.trace(correlationId, "Waiting for couchbase bucket %s to become ready", bucketName);
+                    setTimeout(attempt, interval);
+                }
+            });
+        };
+
+        attempt();
+    }
+
     /**
 	 * Closes component and frees used resources.
 	 * 
@@ -223,27 +408,289 @@ export class CouchbaseConnection implements IReferenceable, IConfigurable, IOpen
      * @param callback 			callback function that receives error or null no errors occured.
      */
     public close(correlationId: string, callback?: (err: any) => void): void {
-        if (this._bucket)
-            this._bucket.disconnect();
+        this.stopHealthChecks();
+
+        if (this._connection == null) {
+            if (callback) callback(null);
+            return;
+        }
+
+        this._connection.close((err) => {
+            this._connection = null;
+            this._bucket = null;
+            this._buckets = {};
+            this._healthy = false;
+
+            if (err)
+                err = new ConnectionException(correlationId, "DISCONNECT_FAILED", "Disconnect from couchbase failed").withCause(err);
+            else
+                this._logger.debug(correlationId, "Disconnected from couchbase bucket %s", this._bucketName);
+
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+	 * Closes component and frees used resources asynchronously.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the component is closed.
+     */
+    public closeAsync(correlationId: string): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            this.close(correlationId, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
 
-        this._connection = null;
-        this._bucket = null;
+    /**
+     * Checks health of the connection by pinging key-value and query services of the bucket.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          callback function that receives health status or error.
+     */
+    public ping(correlationId: string, callback: (err: any, health: CouchbaseHealth) => void): void {
+        if (this._bucket == null) {
+            let err = new ConnectionException(correlationId, "NOT_CONNECTED", "Couchbase connection is not opened");
+            callback(err, null);
+            return;
+        }
+
+        this._bucket.ping({ serviceTypes: ["kv", "query"] }, (err, report) => {
+            if (err) {
+                err = new ConnectionException(correlationId, "PING_FAILED", "Ping of couchbase bucket " + this._bucketName + " failed")
+                    .withCause(err);
+                callback(err, null);
+                return;
+            }
+
+            let health = new CouchbaseHealth();
+            health.services = {};
+
+            _.each(report != null ? report.services : null, (endpoints, service) => {
+                service = service == "n1ql" ? "query" : service;
+                let failed = _.find(endpoints, (endpoint) => endpoint.status != "ok");
+                health.services[service] = {
+                    status: failed != null ? failed.status : "ok",
+                    endpoints: endpoints.length,
+                    latency: (_.max(_.map(endpoints, (endpoint) => endpoint.latency_us || 0)) || 0) / 1000
+                };
+            });
+
+            health.healthy = health.services.kv != null && health.services.query != null
+                && _.every(_.values(health.services), (status) => status.status == "ok");
+
+            callback(null, health);
+        });
+    }
+
+    /**
+     * Checks health of the connection asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that receives health status.
+     */
+    public pingAsync(correlationId: string): Promise<CouchbaseHealth> {
+        return new Promise<CouchbaseHealth>((resolve, reject) => {
+            this.ping(correlationId, (err, health) => {
+                if (err) reject(err);
+                else resolve(health);
+            });
+        });
+    }
+
+    /**
+     * Adds a listener that is called when the connection is reopened by health monitoring.
+     * Components that keep cluster or bucket objects shall take new ones in the listener.
+     * 
+     * @param listener      a listener function to be called after reconnection.
+     */
+    public addReconnectListener(listener: (correlationId: string) => void): void {
+        this._reconnectListeners.push(listener);
+    }
+
+    /**
+     * Removes a previously added reconnect listener.
+     * 
+     * @param listener      a listener function to be removed.
+     */
+    public removeReconnectListener(listener: (correlationId: string) => void): void {
+        this._reconnectListeners = _.without(this._reconnectListeners, listener);
+    }
+
+    private scheduleHealthCheck(correlationId: string, timeout: number): void {
+        this.stopHealthChecks();
 
-        this._logger.debug(correlationId, "Disconnected from couchbase bucket %s", this._bucketName);
+        let interval = this._options.getAsLong('health_check_interval');
+        if (interval <= 0) return;
 
-        callback(null);
+        this._monitorTimer = setTimeout(() => {
+            this._monitorTimer = null;
+            this.checkHealth(correlationId);
+        }, timeout);
+
+        // Monitoring shall not keep the process running
+        if (this._monitorTimer.unref) this._monitorTimer.unref();
+    }
+
+    private stopHealthChecks(): void {
+        if (this._monitorTimer != null) {
+            clearTimeout(this._monitorTimer);
+            this._monitorTimer = null;
+        }
+    }
+
+    private checkHealth(correlationId: string): void {
+        let interval = this._options.getAsLong('health_check_interval');
+
+        this.ping(correlationId, (err, health) => {
+            // The connection was closed during the check
+            if (this._connection == null) return;
+
+            let healthy = err == null && health.healthy;
+            if (healthy != this._healthy) {
+                if (healthy)
+                    this._logger.info(correlationId, "Couchbase connection to bucket %s is healthy again", this._bucketName);
+                else
+                    this._logger.warn(correlationId, "Couchbase connection to bucket %s is unhealthy: %s",
+                        this._bucketName, err != null ? err.message : JSON.stringify(health.services));
+            }
+            this._healthy = healthy;
+
+            if (healthy) {
+                this._reconnectAttempts = 0;
+                this.scheduleHealthCheck(correlationId, interval);
+                return;
+            }
+
+            this.reconnect(correlationId, (err) => {
+                if (this._connection == null) return;
+
+                if (err == null) {
+                    this._reconnectAttempts = 0;
+                    this.scheduleHealthCheck(correlationId, interval);
+                    return;
+                }
+
+                let timeout = this._options.getAsLong('reconnect_timeout') * Math.pow(2, this._reconnectAttempts);
+                timeout = Math.min(timeout, this._options.getAsLong('max_reconnect_timeout'));
+                this._reconnectAttempts++;
+
+                this._logger.warn(correlationId, "Failed to reconnect to couchbase bucket %s, next attempt in %d ms",
+                    this._bucketName, timeout);
+                this.scheduleHealthCheck(correlationId, timeout);
+            });
+        });
+    }
+
+    private reconnect(correlationId: string, callback: (err: any) => void): void {
+        this._logger.info(correlationId, "Reconnecting to couchbase bucket %s", this._bucketName);
+
+        this._connectionResolver.resolve(correlationId, (err, connection) => {
+            if (err) {
+                callback(err);
+                return;
+            }
+
+            this.connectCluster(correlationId, connection, (err, cluster) => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+
+                let bucket = cluster.bucket(this._bucketName);
+                bucket.ping({ serviceTypes: ["kv"] }, (err) => {
+                    // The connection was closed or failed while reconnecting
+                    if (err || this._connection == null) {
+                        cluster.close(() => {});
+                        callback(err);
+                        return;
+                    }
+
+                    let oldCluster = this._connection;
+                    this._connection = cluster;
+                    this._bucket = bucket;
+                    // Other buckets are reopened on demand from the new cluster
+                    this._buckets = {};
+                    this._healthy = true;
+                    oldCluster.close(() => {});
+
+                    this._logger.info(correlationId, "Reconnected to couchbase bucket %s", this._bucketName);
+
+                    _.each(this._reconnectListeners, (listener) => { listener(correlationId); });
+                    callback(null);
+                });
+            });
+        });
     }
 
     public getConnection(): any {
         return this._connection;
     }
 
-    public getBucket(): any {
-        return this._bucket;
+    /**
+     * Gets a bucket from the shared cluster connection.
+     * Buckets other than the configured one are opened lazily and cached,
+     * use [[openBucket]] to create them and to make sure they are available.
+     * 
+     * @param bucketName    (optional) a bucket name. When it is not set the configured bucket is returned.
+     * @returns the Couchbase bucket object or null if the connection is not opened.
+     */
+    public getBucket(bucketName?: string): any {
+        if (bucketName == null || bucketName == this._bucketName)
+            return this._bucket;
+        if (this._connection == null)
+            return null;
+
+        let bucket = this._buckets[bucketName];
+        if (bucket == null) {
+            bucket = this._connection.bucket(bucketName);
+            this._buckets[bucketName] = bucket;
+        }
+        return bucket;
+    }
+
+    /**
+     * Opens a bucket in the shared cluster connection and caches it.
+     * The bucket is created when <code>options.auto_create</code> is set
+     * and pinged to make sure it is available.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param bucketName        a name of the bucket to open.
+     * @param callback          callback function that receives the bucket or error.
+     */
+    public openBucket(correlationId: string, bucketName: string, callback: (err: any, bucket: any) => void): void {
+        if (this._connection == null) {
+            let err = new ConnectionException(correlationId, "NOT_CONNECTED", "Couchbase connection is not opened");
+            callback(err, null);
+            return;
+        }
+
+        if (bucketName == null || bucketName == this._bucketName) {
+            callback(null, this._bucket);
+            return;
+        }
+
+        if (this._buckets[bucketName] != null) {
+            callback(null, this._buckets[bucketName]);
+            return;
+        }
+
+        this.prepareBucket(correlationId, bucketName, (err, bucket) => {
+            if (err == null)
+                this._buckets[bucketName] = bucket;
+            callback(err, bucket);
+        });
     }
 
     public getBucketName(): string {
         return this._bucketName;
     }
 
+    public getScopeName(): string {
+        return this._scopeName;
+    }
+
 }
@@ -0,0 +1,27 @@
+/** @module persistence */
+
+import { CouchbaseWriteOptions } from './CouchbaseWriteOptions';
+
+/**
+ * Options of atomic counter operations.
+ *
+ * ### Example ###
+ *
+ *     let options = new CouchbaseCounterOptions();
+ *     options.initial = 1000;
+ *     options.expiry = 86400;
+ *
+ *     persistence.increment(correlationId, "quota:" + userId, 1, options, (err, value) => {
+ *         console.log(value);                      // Result: 1000 for the first call
+ *     });
+ *
+ * @see [[CouchbasePersistence.increment]]
+ * @see [[CouchbasePersistence.decrement]]
+ */
+export class CouchbaseCounterOptions extends CouchbaseWriteOptions {
+    /**
+     * The value of a counter created when it doesn't exist yet.
+     * The delta is not applied to the initial value.
+     */
+    public initial?: number;
+}
@@ -0,0 +1,159 @@
+/** @module persistence */
+import { ApplicationException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
+import { NotFoundException } from 'pip-services3-commons-node';
+import { UnauthorizedException } from 'pip-services3-commons-node';
+import { UnknownException } from 'pip-services3-commons-node';
+
+/**
+ * Translates errors of Couchbase SDK into pip-services application exceptions.
+ *
+ * Mapped exceptions keep the correlation id, the message of the original SDK error as their cause
+ * and its stack trace.
+ * Errors that can succeed on retry, like timeouts, temporary failures or rebalance errors, are mapped
+ * to ConnectionException with <code>retriable</code> detail set to true.
+ *
+ * | SDK error                                          | Exception               | Code                  |
+ * |----------------------------------------------------|-------------------------|-----------------------|
+ * | DocumentExistsError                                | ConflictException       | DOCUMENT_EXISTS       |
+ * | CasMismatchError                                   | ConflictException       | CAS_MISMATCH          |
+ * | DocumentLockedError                                | ConflictException       | DOCUMENT_LOCKED       |
+ * | DocumentNotFoundError                              | NotFoundException       | DOCUMENT_NOT_FOUND    |
+ * | TimeoutError                                       | ConnectionException     | TIMEOUT               |
+ * | TemporaryFailureError, ServiceNotAvailableError    | ConnectionException     | TEMPORARY_FAILURE     |
+ * | Not my vbucket during rebalance                    | ConnectionException     | NOT_MY_VBUCKET        |
+ * | AuthenticationFailureError                         | UnauthorizedException   | AUTHENTICATION_FAILED |
+ * | ParsingFailureError, PlanningFailureError          | BadRequestException     | BAD_QUERY             |
+ * | Other Couchbase errors                             | ConnectionException     | COUCHBASE_ERROR       |
+ *
+ * ### Example ###
+ *
+ *     collection.get(key, (err, result) => {
+ *         err = CouchbaseErrorMapper.map(correlationId, err);
+ *         if (CouchbaseErrorMapper.isRetriable(err)) {
+ *             ...
+ *         }
+ *     });
+ */
+export class CouchbaseErrorMapper {
+    private static readonly NotMyVbucketCode: number = 1038;
+
+    private static isCouchbaseError(err: any, name: string): boolean {
+        if (err == null) return false;
+
+        // SDK errors cannot be raised when the SDK itself fails to load
+        let couchbase = null;
+        try {
+            couchbase = require('couchbase');
+        } catch (ex) {
+            return false;
+        }
+
+        return couchbase[name] != null && err instanceof couchbase[name];
+    }
+
+    private static isNotMyVbucket(err: any): boolean {
+        if (err == null) return false;
+
+        // SDK has no error class for LCB_ERR_NOT_MY_VBUCKET and passes it with the libcouchbase code
+        let code = err.code != null ? err.code : (err.cause != null ? err.cause.code : null);
+        return code == CouchbaseErrorMapper.NotMyVbucketCode;
+    }
+
+    /**
+     * Checks if the error returned by a key-value operation
+     * means that the requested document does not exist.
+     *
+     * @param err   an error to check.
+     * @returns true if the document is not found and false otherwise.
+     */
+    public static isDocumentNotFound(err: any): boolean {
+        return CouchbaseErrorMapper.isCouchbaseError(err, "DocumentNotFoundError")
+            || (err instanceof NotFoundException && err.code == "DOCUMENT_NOT_FOUND");
+    }
+
+    /**
+     * Checks if the error returned by a key-value operation
+     * means that the document with the same key already exists.
+     *
+     * @param err   an error to check.
+     * @returns true if the document already exists and false otherwise.
+     */
+    public static isDocumentExists(err: any): boolean {
+        return CouchbaseErrorMapper.isCouchbaseError(err, "DocumentExistsError")
+            || (err instanceof ConflictException && err.code == "DOCUMENT_EXISTS");
+    }
+
+    /**
+     * Checks if the error returned by a key-value operation
+     * means that the document was changed since its CAS value was received.
+     *
+     * @param err   an error to check.
+     * @returns true if CAS values do not match and false otherwise.
+     */
+    public static isCasMismatch(err: any): boolean {
+        return CouchbaseErrorMapper.isCouchbaseError(err, "CasMismatchError")
+            || (err instanceof ConflictException && err.code == "CAS_MISMATCH");
+    }
+
+    /**
+     * Checks if the failed operation can succeed when it is retried.
+     *
+     * @param err   an SDK error or a mapped exception to check.
+     * @returns true if the operation can be retried and false otherwise.
+     */
+    public static isRetriable(err: any): boolean {
+        if (err instanceof ApplicationException)
+            return err.details != null && err.details.getAsBoolean("retriable");
+
+        return CouchbaseErrorMapper.isCouchbaseError(err, "TimeoutError")
+            || CouchbaseErrorMapper.isCouchbaseError(err, "TemporaryFailureError")
+            || CouchbaseErrorMapper.isCouchbaseError(err, "ServiceNotAvailableError")
+            || CouchbaseErrorMapper.isNotMyVbucket(err);
+    }
+
+    /**
+     * Maps an SDK error into an application exception.
+     * Application exceptions are returned as they are.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param err               an error to map.
+     * @returns a mapped exception or null if there is no error.
+     */
+    public static map(correlationId: string, err: any): any {
+        if (err == null) return null;
+        if (err instanceof ApplicationException) return err;
+
+        let message = err.message || String(err);
+        let result: ApplicationException;
+
+        if (CouchbaseErrorMapper.isDocumentExists(err))
+            result = new ConflictException(correlationId, "DOCUMENT_EXISTS", message);
+        else if (CouchbaseErrorMapper.isCasMismatch(err))
+            result = new ConflictException(correlationId, "CAS_MISMATCH", message);
+        else if (CouchbaseErrorMapper.isCouchbaseError(err, "DocumentLockedError"))
+            result = new ConflictException(correlationId, "DOCUMENT_LOCKED", message);
+        else if (CouchbaseErrorMapper.isDocumentNotFound(err))
+            result = new NotFoundException(correlationId, "DOCUMENT_NOT_FOUND", message);
+        else if (CouchbaseErrorMapper.isCouchbaseError(err, "TimeoutError"))
+            result = new ConnectionException(correlationId, "TIMEOUT", message).withDetails("retriable", true);
+        else if (CouchbaseErrorMapper.isNotMyVbucket(err))
+            result = new ConnectionException(correlationId, "NOT_MY_VBUCKET", message).withDetails("retriable", true);
+        else if (CouchbaseErrorMapper.isRetriable(err))
+            result = new ConnectionException(correlationId, "TEMPORARY_FAILURE", message).withDetails("retriable", true);
+        else if (CouchbaseErrorMapper.isCouchbaseError(err, "AuthenticationFailureError"))
+            result = new UnauthorizedException(correlationId, "AUTHENTICATION_FAILED", message);
+        else if (CouchbaseErrorMapper.isCouchbaseError(err, "ParsingFailureError")
+            || CouchbaseErrorMapper.isCouchbaseError(err, "PlanningFailureError"))
+            result = new BadRequestException(correlationId, "BAD_QUERY", message);
+        else if (CouchbaseErrorMapper.isCouchbaseError(err, "CouchbaseError"))
+            result = new ConnectionException(correlationId, "COUCHBASE_ERROR", message);
+        else
+            result = new UnknownException(correlationId, "UNKNOWN", message);
+
+        // Exceptions keep only the message of their cause, so the stack trace of SDK error is kept separately
+        return result.withCause(err).withStackTrace(err.stack);
+    }
+}
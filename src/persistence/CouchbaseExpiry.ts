@@ -0,0 +1,34 @@
+/** @module persistence */
+
+/**
+ * Helper that converts document expiry in seconds into the value expected by Couchbase.
+ *
+ * Couchbase treats expiry values up to 30 days as relative to the current time
+ * and larger values as absolute Unix timestamps, so longer expiries are converted
+ * into timestamps to keep them relative for callers.
+ *
+ * ### Example ###
+ *
+ *     let expiry = CouchbaseExpiry.toServerExpiry(60 * 24 * 60 * 60);
+ *     // expiry: current Unix time in seconds + 60 days
+ */
+export class CouchbaseExpiry {
+    /**
+     * The maximum expiry in seconds that Couchbase treats as relative (30 days).
+     */
+    public static readonly MaxRelativeExpiry: number = 30 * 24 * 60 * 60;
+
+    /**
+     * Converts a relative expiry into the value for key-value operations.
+     *
+     * @param expiry    an expiry in seconds relative to the current time.
+     * @returns the expiry to pass to Couchbase or 0 when the document never expires.
+     */
+    public static toServerExpiry(expiry: number): number {
+        if (expiry == null || expiry <= 0)
+            return 0;
+        if (expiry > CouchbaseExpiry.MaxRelativeExpiry)
+            return Math.floor(Date.now() / 1000) + expiry;
+        return expiry;
+    }
+}
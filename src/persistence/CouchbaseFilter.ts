@@ -0,0 +1,261 @@
+/** @module persistence */
+
+import { CouchbaseQueryParams } from './CouchbaseQueryParams';
+
+/**
+ * Structured filter that compiles into a N1QL condition with query parameters.
+ *
+ * Unlike raw filter strings, values in structured filters are never pasted
+ * into the statement. They are passed to the server as positional or named
+ * parameters, which protects queries from N1QL injections.
+ *
+ * Field names can be dotted paths like <code>address.city</code>.
+ * Each part of the path is escaped with backticks.
+ *
+ * ### Example ###
+ *
+ *     let filter = CouchbaseFilter.and(
+ *         CouchbaseFilter.eq("key", key),
+ *         CouchbaseFilter.or(
+ *             CouchbaseFilter.like("name", "A%"),
+ *             CouchbaseFilter.in("status", ["new", "active"])
+ *         ),
+ *         CouchbaseFilter.between("age", 18, 65),
+ *         CouchbaseFilter.any("tags", "t", CouchbaseFilter.eq("t", "vip"))
+ *     );
+ *
+ *     let params = new CouchbaseQueryParams();
+ *     let condition = filter.toN1ql(params);
+ *     // condition: `key`=$1 AND (`name` LIKE $2 OR `status` IN $3) AND `age` BETWEEN $4 AND $5
+ *     //            AND ANY `t` IN `tags` SATISFIES `t`=$6 END
+ *
+ * @see [[CouchbaseQueryParams]]
+ * @see [[CouchbasePersistence]]
+ */
+export class CouchbaseFilter {
+    private _operator: string;
+    private _field: string;
+    private _variable: string;
+    private _values: any[];
+    private _filters: CouchbaseFilter[];
+
+    private constructor(operator: string, field: string, values: any[], filters?: CouchbaseFilter[], variable?: string) {
+        this._operator = operator;
+        this._field = field;
+        this._values = values || [];
+        this._filters = filters || [];
+        this._variable = variable;
+    }
+
+    /**
+     * Creates a condition that field is equal to the value.
+     *
+     * @param field     a field name.
+     * @param value     a value to compare with.
+     * @returns a created filter.
+     */
+    public static eq(field: string, value: any): CouchbaseFilter {
+        return new CouchbaseFilter("=", field, [value]);
+    }
+
+    /**
+     * Creates a condition that field is not equal to the value.
+     *
+     * @param field     a field name.
+     * @param value     a value to compare with.
+     * @returns a created filter.
+     */
+    public static ne(field: string, value: any): CouchbaseFilter {
+        return new CouchbaseFilter("!=", field, [value]);
+    }
+
+    /**
+     * Creates a condition that field is greater than the value.
+     *
+     * @param field     a field name.
+     * @param value     a value to compare with.
+     * @returns a created filter.
+     */
+    public static gt(field: string, value: any): CouchbaseFilter {
+        return new CouchbaseFilter(">", field, [value]);
+    }
+
+    /**
+     * Creates a condition that field is greater than or equal to the value.
+     *
+     * @param field     a field name.
+     * @param value     a value to compare with.
+     * @returns a created filter.
+     */
+    public static gte(field: string, value: any): CouchbaseFilter {
+        return new CouchbaseFilter(">=", field, [value]);
+    }
+
+    /**
+     * Creates a condition that field is less than the value.
+     *
+     * @param field     a field name.
+     * @param value     a value to compare with.
+     * @returns a created filter.
+     */
+    public static lt(field: string, value: any): CouchbaseFilter {
+        return new CouchbaseFilter("<", field, [value]);
+    }
+
+    /**
+     * Creates a condition that field is less than or equal to the value.
+     *
+     * @param field     a field name.
+     * @param value     a value to compare with.
+     * @returns a created filter.
+     */
+    public static lte(field: string, value: any): CouchbaseFilter {
+        return new CouchbaseFilter("<=", field, [value]);
+    }
+
+    /**
+     * Creates a condition that field is equal to one of the values.
+     *
+     * @param field     a field name.
+     * @param values    an array of values to compare with.
+     * @returns a created filter.
+     */
+    public static in(field: string, values: any[]): CouchbaseFilter {
+        return new CouchbaseFilter("IN", field, [values || []]);
+    }
+
+    /**
+     * Creates a condition that field matches the pattern.
+     * The pattern may contain <code>%</code> and <code>_</code> wildcards.
+     *
+     * @param field     a field name.
+     * @param pattern   a pattern to match.
+     * @returns a created filter.
+     */
+    public static like(field: string, pattern: string): CouchbaseFilter {
+        return new CouchbaseFilter("LIKE", field, [pattern]);
+    }
+
+    /**
+     * Creates a condition that field is within the range.
+     * When one of the boundaries is not set the range is open on that side.
+     *
+     * @param field     a field name.
+     * @param from      (optional) an inclusive lower boundary.
+     * @param to        (optional) an inclusive upper boundary.
+     * @returns a created filter.
+     */
+    public static between(field: string, from: any, to: any): CouchbaseFilter {
+        if (from == null && to == null) return null;
+        if (from == null) return CouchbaseFilter.lte(field, to);
+        if (to == null) return CouchbaseFilter.gte(field, from);
+        return new CouchbaseFilter("BETWEEN", field, [from, to]);
+    }
+
+    /**
+     * Creates a condition that at least one element of array field satisfies the condition.
+     * Inside the condition the array element is referenced by the variable name.
+     *
+     * @param field         an array field name.
+     * @param variable      a name of the variable that references array elements.
+     * @param condition     a condition for array elements.
+     * @returns a created filter.
+     */
+    public static any(field: string, variable: string, condition: CouchbaseFilter): CouchbaseFilter {
+        return new CouchbaseFilter("ANY", field, null, [condition], variable);
+    }
+
+    /**
+     * Creates a condition that all filters are satisfied.
+     * Null filters are ignored.
+     *
+     * @param filters   filters to combine.
+     * @returns a created filter.
+     */
+    public static and(...filters: CouchbaseFilter[]): CouchbaseFilter {
+        return new CouchbaseFilter("AND", null, null, filters);
+    }
+
+    /**
+     * Creates a condition that at least one of filters is satisfied.
+     * Null filters are ignored.
+     *
+     * @param filters   filters to combine.
+     * @returns a created filter.
+     */
+    public static or(...filters: CouchbaseFilter[]): CouchbaseFilter {
+        return new CouchbaseFilter("OR", null, null, filters);
+    }
+
+    /**
+     * Creates a condition that negates the filter.
+     *
+     * @param filter    a filter to negate.
+     * @returns a created filter.
+     */
+    public static not(filter: CouchbaseFilter): CouchbaseFilter {
+        return new CouchbaseFilter("NOT", null, null, [filter]);
+    }
+
+    /**
+     * Escapes a field name or a dotted path to be used in N1QL statement.
+     *
+     * @param field     a field name or a dotted path.
+     * @returns the escaped field name.
+     */
+    public static escapeField(field: string): string {
+        return field.split('.')
+            .map((part) => "`" + part.replace(/`/g, "") + "`")
+            .join('.');
+    }
+
+    /**
+     * Compiles this filter into N1QL condition.
+     * Filter values are added to the query parameters.
+     *
+     * @param params    query parameters to collect filter values.
+     * @returns a N1QL condition or null if the filter is empty.
+     */
+    public toN1ql(params: CouchbaseQueryParams): string {
+        switch (this._operator) {
+            case "AND":
+            case "OR":
+                let conditions = this._filters
+                    .filter((filter) => filter != null)
+                    .map((filter) => filter.toN1qlGroup(params, this._operator))
+                    .filter((condition) => condition != null);
+                return conditions.length > 0 ? conditions.join(" " + this._operator + " ") : null;
+            case "NOT":
+                let condition = this._filters[0] != null ? this._filters[0].toN1qlGroup(params, this._operator) : null;
+                return condition != null ? "NOT " + condition : null;
+            case "ANY":
+                let satisfies = this._filters[0] != null ? this._filters[0].toN1ql(params) : null;
+                if (satisfies == null) return null;
+                return "ANY " + CouchbaseFilter.escapeField(this._variable)
+                    + " IN " + CouchbaseFilter.escapeField(this._field)
+                    + " SATISFIES " + satisfies + " END";
+            case "BETWEEN":
+                return CouchbaseFilter.escapeField(this._field) + " BETWEEN "
+                    + params.add(this._values[0]) + " AND " + params.add(this._values[1]);
+            case "IN":
+            case "LIKE":
+                return CouchbaseFilter.escapeField(this._field) + " " + this._operator + " " + params.add(this._values[0]);
+            default:
+                return CouchbaseFilter.escapeField(this._field) + this._operator + params.add(this._values[0]);
+        }
+    }
+
+    private toN1qlGroup(params: CouchbaseQueryParams, parentOperator: string): string {
+        let condition = this.toN1ql(params);
+        if (condition == null) return null;
+
+        // Wrap nested groups to preserve the operator precedence
+        let grouped = (this._operator == "AND" || this._operator == "OR")
+            && this._operator != parentOperator;
+        return grouped && this.isComposite() ? "(" + condition + ")" : condition;
+    }
+
+    private isComposite(): boolean {
+        return this._filters.filter((filter) => filter != null).length > 1;
+    }
+}
@@ -0,0 +1,26 @@
+/** @module persistence */
+
+/**
+ * Health status of Couchbase connection returned by [[CouchbaseConnection.ping]].
+ *
+ * ### Example ###
+ *
+ *     connection.ping(correlationId, (err, health) => {
+ *         console.log(health.healthy);                 // Result: true
+ *         console.log(health.services.kv.latency);     // Result: 0.35
+ *     });
+ *
+ * @see [[CouchbaseConnection]]
+ */
+export class CouchbaseHealth {
+    /**
+     * The flag that is true when all pinged services are available.
+     */
+    public healthy: boolean;
+    /**
+     * Statuses of pinged services by service name (kv, query).
+     * Each status contains <code>status</code> with "ok", "timeout" or "error" value,
+     * the number of <code>endpoints</code> and the maximum <code>latency</code> in milliseconds.
+     */
+    public services: any;
+}
@@ -0,0 +1,25 @@
+/** @module persistence */
+
+/**
+ * Definition of a secondary GSI index declared by a persistence.
+ *
+ * @see [[CouchbasePersistence.ensureIndex]]
+ */
+export class CouchbaseIndex {
+    /**
+     * The index name unique within the keyspace.
+     */
+    public name: string;
+    /**
+     * The indexed fields or N1QL expressions.
+     */
+    public fields: string[];
+    /**
+     * The optional N1QL condition of a partial index.
+     */
+    public where?: string;
+    /**
+     * The flag to defer the index build until it is triggered explicitly.
+     */
+    public deferred?: boolean;
+}
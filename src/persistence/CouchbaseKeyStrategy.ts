@@ -0,0 +1,128 @@
+/** @module persistence */
+/** @hidden */
+let crypto = require('crypto');
+
+import { IConfigurable } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+
+/**
+ * Strategy that turns public object ids into Couchbase document keys and back.
+ *
+ * A key is composed from an optional prefix, the id and an optional suffix
+ * joined with a separator. Prefix and suffix are templates where <code>{collection}</code>
+ * is replaced with the collection name. Empty parts are skipped together with their separators.
+ *
+ * Child classes can override [[generateKey]] and [[extractId]] to implement custom key layouts.
+ *
+ * ### Configuration parameters ###
+ *
+ * - key_prefix:                  (optional) key prefix template (default: {collection})
+ * - key_suffix:                  (optional) key suffix template (default: empty)
+ * - key_separator:               (optional) separator between key parts (default: ::)
+ * - key_legacy:                  (optional) true to keep the legacy layout of earlier versions
+ *                                where parts are joined without a separator (default: false)
+ * - key_hash:                    (optional) hash algorithm for ids: none, md5, sha1 or sha256 (default: none).
+ *                                Ids cannot be recovered from hashed keys
+ *
+ * ### Example ###
+ *
+ *     let strategy = new CouchbaseKeyStrategy();
+ *
+ *     let key = strategy.generateKey("users", "1");    // Result: users::1
+ *     let id = strategy.extractId("users", key);       // Result: 1
+ */
+export class CouchbaseKeyStrategy implements IConfigurable {
+    private static readonly _hashes: string[] = ["none", "md5", "sha1", "sha256"];
+
+    protected _prefix: string = "{collection}";
+    protected _suffix: string = "";
+    protected _separator: string = "::";
+    protected _hash: string = "none";
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._prefix = this.getTemplate(config, "key_prefix", this._prefix);
+        this._suffix = this.getTemplate(config, "key_suffix", this._suffix);
+        let legacy = config.getAsBooleanWithDefault("key_legacy", false);
+        this._separator = this.getTemplate(config, "key_separator", legacy ? "" : this._separator);
+        this._hash = config.getAsStringWithDefault("key_hash", this._hash);
+
+        if (CouchbaseKeyStrategy._hashes.indexOf(this._hash) < 0) {
+            throw new ConfigException(null, "BAD_KEY_HASH", "Key hash " + this._hash + " is not supported")
+                .withDetails("key_hash", this._hash);
+        }
+    }
+
+    private getTemplate(config: ConfigParams, key: string, defaultValue: string): string {
+        // Config returns null for empty strings, but an empty prefix is a valid setting
+        if (config.getKeys().indexOf(key) < 0) return defaultValue;
+        return config.getAsNullableString(key) || "";
+    }
+
+    private expandTemplate(template: string, collectionName: string): string {
+        return (template || "").split("{collection}").join(collectionName || "");
+    }
+
+    /**
+     * Checks if ids can be recovered from generated keys.
+     *
+     * @returns true if keys are not hashed and false otherwise.
+     */
+    public isReversible(): boolean {
+        return this._hash == "none";
+    }
+
+    /**
+     * Generates a document key for a public id.
+     *
+     * @param collectionName    a name of the collection the document belongs to.
+     * @param id                a public unique id.
+     * @returns a generated document key.
+     */
+    public generateKey(collectionName: string, id: any): string {
+        if (id == null) return null;
+
+        let value = id.toString();
+        if (this._hash != "none")
+            value = crypto.createHash(this._hash).update(value).digest("hex");
+
+        let parts = [
+            this.expandTemplate(this._prefix, collectionName),
+            value,
+            this.expandTemplate(this._suffix, collectionName)
+        ];
+        return parts.filter((part) => part != "").join(this._separator);
+    }
+
+    /**
+     * Recovers a public id from a document key.
+     *
+     * @param collectionName    a name of the collection the document belongs to.
+     * @param key               a document key.
+     * @returns the public id or null if the key was not generated for the collection or it is hashed.
+     */
+    public extractId(collectionName: string, key: string): string {
+        if (key == null || !this.isReversible()) return null;
+
+        let prefix = this.expandTemplate(this._prefix, collectionName);
+        if (prefix != "") {
+            prefix += this._separator;
+            if (key.indexOf(prefix) != 0) return null;
+            key = key.substring(prefix.length);
+        }
+
+        let suffix = this.expandTemplate(this._suffix, collectionName);
+        if (suffix != "") {
+            suffix = this._separator + suffix;
+            if (key.length < suffix.length || key.substring(key.length - suffix.length) != suffix) return null;
+            key = key.substring(0, key.length - suffix.length);
+        }
+
+        return key;
+    }
+}
@@ -0,0 +1,135 @@
+/** @module persistence */
+
+/**
+ * Set of sub-document operations applied to a single document in one round trip.
+ *
+ * Unlike partial updates with merged objects, sub-document operations change only
+ * the fields at given paths and keep the rest of the document, including nested objects.
+ * Paths are dotted like <code>address.city</code>. Missing parent objects are created automatically.
+ *
+ * ### Example ###
+ *
+ *     let mutation = new CouchbaseMutation()
+ *         .upsert("address.city", "Denver")
+ *         .remove("temp")
+ *         .arrayAddUnique("tags", "vip")
+ *         .counter("visits", 1);
+ *
+ *     persistence.mutateIn(correlationId, id, mutation, (err, values) => {
+ *         console.log(values[3]);                  // Result: new number of visits
+ *     });
+ *
+ * @see [[IdentifiableCouchbasePersistence.mutateIn]]
+ */
+export class CouchbaseMutation {
+    private _operations: any[] = [];
+
+    private add(type: string, path: string, value?: any): CouchbaseMutation {
+        if (path == null || path == "")
+            throw new Error("Sub-document path cannot be empty");
+
+        this._operations.push({ type: type, path: path, value: value });
+        return this;
+    }
+
+    /**
+     * Sets a value at the path, replacing the existing value.
+     *
+     * @param path      a dotted path to the field.
+     * @param value     a value to set.
+     * @returns this mutation to chain calls.
+     */
+    public upsert(path: string, value: any): CouchbaseMutation {
+        return this.add("upsert", path, value);
+    }
+
+    /**
+     * Removes a field at the path.
+     *
+     * @param path      a dotted path to the field.
+     * @returns this mutation to chain calls.
+     */
+    public remove(path: string): CouchbaseMutation {
+        return this.add("remove", path);
+    }
+
+    /**
+     * Appends a value to the end of an array at the path.
+     *
+     * @param path      a dotted path to the array.
+     * @param value     a value to append.
+     * @returns this mutation to chain calls.
+     */
+    public arrayAppend(path: string, value: any): CouchbaseMutation {
+        return this.add("arrayAppend", path, value);
+    }
+
+    /**
+     * Adds a value to an array at the path unless the array already contains it.
+     *
+     * @param path      a dotted path to the array.
+     * @param value     a primitive value to add.
+     * @returns this mutation to chain calls.
+     */
+    public arrayAddUnique(path: string, value: any): CouchbaseMutation {
+        return this.add("arrayAddUnique", path, value);
+    }
+
+    /**
+     * Atomically changes a numeric field at the path.
+     * The new value of the field is returned in the mutation results.
+     *
+     * @param path      a dotted path to the numeric field.
+     * @param delta     a positive or negative number to add.
+     * @returns this mutation to chain calls.
+     */
+    public counter(path: string, delta: number): CouchbaseMutation {
+        return this.add("counter", path, delta);
+    }
+
+    /**
+     * Gets operations added to the mutation.
+     *
+     * @returns a list of operations with <code>type</code>, <code>path</code> and <code>value</code>.
+     */
+    public getOperations(): any[] {
+        return this._operations;
+    }
+
+    /**
+     * Checks if the mutation has no operations.
+     *
+     * @returns true if there are no operations and false otherwise.
+     */
+    public isEmpty(): boolean {
+        return this._operations.length == 0;
+    }
+
+    /**
+     * Converts the operations into Couchbase sub-document specs.
+     *
+     * @returns a list of <code>MutateInSpec</code> objects.
+     */
+    public toSpecs(): any[] {
+        let couchbase = require('couchbase');
+        let MutateInSpec = couchbase.MutateInSpec;
+        let options = { createPath: true };
+
+        return this._operations.map((operation) => {
+            switch (operation.type) {
+                case "upsert":
+                    return MutateInSpec.upsert(operation.path, operation.value, options);
+                case "remove":
+                    return MutateInSpec.remove(operation.path);
+                case "arrayAppend":
+                    return MutateInSpec.arrayAppend(operation.path, operation.value, options);
+                case "arrayAddUnique":
+                    return MutateInSpec.arrayAddUnique(operation.path, operation.value, options);
+                case "counter":
+                    return operation.value < 0
+                        ? MutateInSpec.decrement(operation.path, -operation.value, options)
+                        : MutateInSpec.increment(operation.path, operation.value, options);
+            }
+        });
+    }
+}
@@ -0,0 +1,138 @@
+/** @module persistence */
+/** @hidden */
+let crypto = require('crypto');
+
+import { BadRequestException } from 'pip-services3-commons-node';
+
+/**
+ * Continuation token of keyset pagination that points to the last item of a page.
+ *
+ * The token keeps the value of the sort field and the document key of the last item,
+ * so the next page starts right after it no matter how many items were added or removed before.
+ * It also records the sort field, the sort direction and a hash of the filter of the query,
+ * so it can't be reused with a different query.
+ * Clients shall treat tokens as opaque strings and pass them back unchanged.
+ *
+ * ### Example ###
+ *
+ *     let filterHash = CouchbasePageToken.hashFilter("_c=$1", ["dummies"]);
+ *     let token = new CouchbasePageToken("2021-03-01T10:00:00Z", "dummies1", "create_time", false, filterHash).encode();
+ *
+ *     let lastItem = CouchbasePageToken.decode(correlationId, token);
+ *     console.log(lastItem.key);                   // Result: dummies1
+ *     console.log(lastItem.matches("create_time", false, filterHash));     // Result: true
+ *
+ * @see [[CouchbasePersistence.getPageByToken]]
+ */
+export class CouchbasePageToken {
+    /**
+     * The value of the sort field in the last item.
+     * It is null when the field is null and undefined when the field is missing.
+     */
+    public sortValue: any;
+    /**
+     * The document key of the last item.
+     */
+    public key: string;
+    /**
+     * The sort field of the query or null when items are sorted by document keys only.
+     */
+    public sortField: string;
+    /**
+     * The sort direction of the query.
+     */
+    public descending: boolean;
+    /**
+     * The hash of the query filter.
+     */
+    public filterHash: string;
+
+    /**
+     * Creates a new instance of the page token.
+     *
+     * @param sortValue     the value of the sort field in the last item or undefined if it is missing.
+     * @param key           the document key of the last item.
+     * @param sortField     (optional) the sort field of the query.
+     * @param descending    (optional) true if the query sorts in descending order.
+     * @param filterHash    (optional) the hash of the query filter created by [[hashFilter]].
+     */
+    public constructor(sortValue: any, key: string, sortField?: string, descending?: boolean, filterHash?: string) {
+        this.sortValue = sortValue;
+        this.key = key;
+        this.sortField = sortField || null;
+        this.descending = descending == true;
+        this.filterHash = filterHash || null;
+    }
+
+    /**
+     * Checks if the token was issued for a query with the given parameters.
+     *
+     * @param sortField     the sort field of the query.
+     * @param descending    true if the query sorts in descending order.
+     * @param filterHash    the hash of the query filter.
+     * @returns true if the token matches the query and false otherwise.
+     */
+    public matches(sortField: string, descending: boolean, filterHash: string): boolean {
+        return this.sortField == (sortField || null)
+            && this.descending == (descending == true)
+            && this.filterHash == (filterHash || null);
+    }
+
+    /**
+     * Encodes the token into an opaque URL-safe string.
+     *
+     * @returns the encoded token.
+     */
+    public encode(): string {
+        // Missing sort values are left out, so they are told apart from nulls
+        let json = JSON.stringify({
+            v: this.sortValue,
+            k: this.key,
+            f: this.sortField,
+            d: this.descending,
+            h: this.filterHash
+        });
+        return Buffer.from(json).toString("base64")
+            .replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+    }
+
+    /**
+     * Decodes a token received from a client.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param token             an encoded token.
+     * @returns the decoded token.
+     *
+     * @throws a BadRequestException when the token is malformed.
+     */
+    public static decode(correlationId: string, token: string): CouchbasePageToken {
+        let values = null;
+        try {
+            let base64 = token.replace(/-/g, "+").replace(/_/g, "/");
+            values = JSON.parse(Buffer.from(base64, "base64").toString());
+        } catch (ex) {
+            values = null;
+        }
+
+        if (values == null || typeof values !== "object" || typeof values.k !== "string"
+            || typeof values.d !== "boolean" || (values.f != null && typeof values.f !== "string")
+            || (values.h != null && typeof values.h !== "string")) {
+            throw new BadRequestException(correlationId, "BAD_PAGE_TOKEN", "Page token " + token + " is malformed")
+                .withDetails("token", token);
+        }
+
+        return new CouchbasePageToken(values.v, values.k, values.f, values.d, values.h);
+    }
+
+    /**
+     * Calculates a hash of a query filter to store in tokens.
+     *
+     * @param filter    a composed filter string after WHERE clause or null.
+     * @param values    the values of the filter parameters.
+     * @returns the filter hash.
+     */
+    public static hashFilter(filter: string, values: any): string {
+        let json = JSON.stringify([filter || null, values || null]);
+        return crypto.createHash("md5").update(json).digest("hex");
+    }
+}
@@ -12,7 +12,9 @@ import { IOpenable } from 'pip-services3-commons-node';
 import { ICleanable } from 'pip-services3-commons-node';
 import { ConfigParams } from 'pip-services3-commons-node';
 import { ConnectionException } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
 import { InvalidStateException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
 import { CompositeLogger } from 'pip-services3-components-node';
 import { DependencyResolver } from 'pip-services3-commons-node';
 import { PagingParams } from 'pip-services3-commons-node';
@@ -20,6 +22,19 @@ import { DataPage } from 'pip-services3-commons-node';
 
 import { CouchbaseConnectionResolver } from '../connect/CouchbaseConnectionResolver';
 import { CouchbaseConnection } from './CouchbaseConnection';
+import { CouchbaseFilter } from './CouchbaseFilter';
+import { CouchbaseQueryParams } from './CouchbaseQueryParams';
+import { CouchbaseExpiry } from './CouchbaseExpiry';
+import { CouchbaseQueryOptions } from './CouchbaseQueryOptions';
+import { CouchbaseWriteOptions } from './CouchbaseWriteOptions';
+import { CouchbaseCounterOptions } from './CouchbaseCounterOptions';
+import { CouchbaseIndex } from './CouchbaseIndex';
+import { CouchbaseKeyStrategy } from './CouchbaseKeyStrategy';
+import { CouchbaseErrorMapper } from './CouchbaseErrorMapper';
+import { CouchbaseRetryPolicy } from './CouchbaseRetryPolicy';
+import { CouchbasePageToken } from './CouchbasePageToken';
+import { CouchbaseTokenPage } from './CouchbaseTokenPage';
+import { ScanConsistency } from './ScanConsistency';
 
 /**
  * Abstract persistence component that stores data in Couchbase
@@ -32,7 +47,10 @@ import { CouchbaseConnection } from './CouchbaseConnection';
  * 
  * ### Configuration parameters ###
  * 
- * - bucket:                      (optional) Couchbase bucket name
+ * - bucket:                      (optional) Couchbase bucket name. When it differs from the bucket of a shared connection,
+ *                                the persistence opens it in the same cluster connection
+ * - scope:                       (optional) Couchbase scope name for native collections (default: scope of the connection or _default)
+ * - collection:                  (optional) Couchbase collection name
  * - connection(s):    
  *   - discovery_key:             (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
  *   - host:                      host name or IP address
@@ -43,11 +61,32 @@ import { CouchbaseConnection } from './CouchbaseConnection';
  *   - username:                  (optional) user name
  *   - password:                  (optional) user password
  * - options:
- *   - auto_create:               (optional) automatically create missing bucket (default: false)
- *   - auto_index:                (optional) automatically create primary index (default: false)
+ *   - auto_create:               (optional) automatically create missing bucket, scope and native collection (default: false)
+ *   - auto_index:                (optional) automatically create primary index and declared secondary indexes (default: false)
  *   - flush_enabled:             (optional) bucket flush enabled (default: false)
  *   - bucket_type:               (optional) bucket type (default: couchbase)
  *   - ram_quota:                 (optional) RAM quota in MB (default: 100)
+ *   - ready_timeout:             (optional) timeout in milliseconds to wait until auto created bucket is ready (default: 30000)
+ *   - native_collections:        (optional) store documents in native Couchbase 7 collections instead of
+ *                                emulating them with <code>_c</code> field and key prefix (default: false)
+ *   - named_params:              (optional) use named instead of positional query parameters (default: false)
+ *   - expiry:                    (optional) default time in seconds after which written documents expire, 0 to never expire (default: 0)
+ *   - preserve_expiry:           (optional) keep expiry of documents replaced without expiry, requires Couchbase Server 7.0 (default: false).
+ *                                When it is off, updates without expiry make documents persistent
+ *   - key_prefix:                (optional) document key prefix template, where {collection} is replaced with the collection name
+ *                                (default: {collection} or empty with native collections)
+ *   - key_suffix:                (optional) document key suffix template (default: empty)
+ *   - key_separator:             (optional) separator between key prefix, id and suffix (default: ::)
+ *   - key_legacy:                (optional) true to keep keys of earlier versions joined without a separator (default: false)
+ *   - key_hash:                  (optional) hash algorithm for ids in keys: none, md5, sha1 or sha256 (default: none)
+ *   - flush_on_clear:            (optional) flush the entire bucket in [[clear]] instead of deleting the collection documents (default: false)
+ *   - scan_consistency:          (optional) scan consistency of queries: not_bounded, request_plus, statement_plus or at_plus (default: request_plus).
+ *                                at_plus requires mutation tokens enabled with <code>fetch_mutation_tokens=true</code> connection parameter
+ *   - retry_attempts:            (optional) maximum number of attempts of reads and idempotent writes, 1 to disable retries (default: 3)
+ *   - retry_timeout:             (optional) initial timeout in milliseconds between attempts, doubled after every attempt (default: 100)
+ *   - retry_max_timeout:         (optional) maximum timeout in milliseconds between attempts (default: 5000)
+ *   - retry_jitter:              (optional) random part of the timeout between attempts from 0 to 1 (default: 0.5)
+ *   - retry_errors:              (optional) comma-separated codes of retriable errors (default: TIMEOUT,TEMPORARY_FAILURE,NOT_MY_VBUCKET)
  * 
  * ### References ###
  * 
@@ -95,9 +134,49 @@ import { CouchbaseConnection } from './CouchbaseConnection';
 export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable, IConfigurable, IOpenable, ICleanable {
     protected _maxPageSize: number = 100;
     protected _collectionName: string;
+    /**
+     * The flag to disable collection scoping of queries.
+     * Child classes may set it to true when they really need
+     * access to documents of all collections in the bucket.
+     * It has no effect with native collections.
+     */
+    protected _bucketWideAccess: boolean = false;
+    /**
+     * The flag to store documents in native Couchbase collections.
+     * When it is off collections are emulated with <code>_c</code> field
+     * and key prefix in the default collection of the bucket.
+     */
+    protected _nativeCollections: boolean = false;
+    /**
+     * The default time in seconds after which written documents expire.
+     * 0 means that documents never expire.
+     */
+    protected _expiry: number = 0;
+    /**
+     * The flag to keep expiry of replaced documents when no expiry is set.
+     * It requires Couchbase Server 7.0 or newer.
+     */
+    protected _preserveExpiry: boolean = false;
+    /**
+     * The strategy to generate document keys from public ids.
+     * Child classes may replace it with a custom [[CouchbaseKeyStrategy]].
+     */
+    protected _keyStrategy: CouchbaseKeyStrategy = new CouchbaseKeyStrategy();
+    /**
+     * The policy to retry reads and idempotent writes after transient failures.
+     */
+    protected _retryPolicy: CouchbaseRetryPolicy = new CouchbaseRetryPolicy();
+
+    /**
+     * The namespace of counter keys. It is kept in front of the whole key,
+     * so counters can be told apart from data items even with hashed keys.
+     */
+    private static readonly _counterNamespace: string = "counter:";
 
     private static _defaultConfig: ConfigParams = ConfigParams.fromTuples(
         "bucket", null,
+        "scope", null,
+        "collection", null,
         "dependencies.connection", "*:connection:couchbase:*:1.0",
 
         // connections.*
@@ -111,9 +190,15 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
     );
 
     private _config: ConfigParams;
+    private _indexes: CouchbaseIndex[] = [];
     private _references: IReferences;
     private _opened: boolean;
     private _localConnection: boolean;
+    private _ownBucketName: string;
+    private _reconnectListener = (correlationId: string) => {
+        this.attachConnection();
+        this._logger.debug(correlationId, "Reattached %s to reopened couchbase connection", this._collectionName);
+    };
 
     /**
      * The dependency resolver.
@@ -145,9 +230,19 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      */
     protected _bucket: any;
     /**
-     * The Couchbase N1qlQuery object.
+     * The Couchbase scope name.
+     */
+    protected _scopeName: string;
+    /**
+     * The Couchbase collection object for key-value operations.
+     * In legacy mode it is the default collection of the bucket.
      */
-    protected _query: any;
+    protected _collection: any;
+    /**
+     * The Couchbase MutationState object that collects tokens
+     * of mutations made by this persistence for at_plus queries.
+     */
+    protected _mutationState: any;
 
     /**
      * Creates a new instance of the persistence component.
@@ -171,8 +266,18 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
 
         this._dependencyResolver.configure(config);
 
+        this._ownBucketName = config.getAsNullableString('bucket');
         this._bucketName = config.getAsStringWithDefault('bucket', this._bucketName);
+        this._scopeName = config.getAsStringWithDefault('scope', this._scopeName);
+        this._collectionName = config.getAsStringWithDefault('collection', this._collectionName);
         this._options = this._options.override(config.getSection("options"));
+        this._nativeCollections = this._options.getAsBooleanWithDefault("native_collections", this._nativeCollections);
+        this._expiry = this._options.getAsIntegerWithDefault("expiry", this._expiry);
+        this._preserveExpiry = this._options.getAsBooleanWithDefault("preserve_expiry", this._preserveExpiry);
+
+        let keyDefaults = ConfigParams.fromTuples("key_prefix", this._nativeCollections ? "" : "{collection}");
+        this._keyStrategy.configure(keyDefaults.override(this._options));
+        this._retryPolicy.configure(this._options);
     }
 
     /**
@@ -237,6 +342,93 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         return value;
     }    
 
+    /**
+     * Creates a new collector of query parameters
+     * according to the configuration options.
+     * 
+     * @returns a new query parameters collector.
+     */
+    protected createQueryParams(): CouchbaseQueryParams {
+        let named = this._options.getAsBooleanWithDefault("named_params", false);
+        return new CouchbaseQueryParams(named);
+    }
+
+    /**
+     * Compiles a filter into N1QL condition.
+     * 
+     * Structured [[CouchbaseFilter]] filters are compiled with their values added
+     * to the query parameters. Raw filter strings are inserted into statements as-is
+     * and shall never contain values received from clients.
+     * 
+     * @param filter    a structured filter or a raw filter string.
+     * @param params    query parameters to collect filter values.
+     * @returns a N1QL condition or null if the filter is empty.
+     */
+    protected compileFilter(filter: any, params: CouchbaseQueryParams): string {
+        if (filter == null) return null;
+        if (filter instanceof CouchbaseFilter) return filter.toN1ql(params);
+        return !_.isEmpty(filter) ? filter.toString() : null;
+    }
+
+    /**
+     * Composes a WHERE condition that restricts the filter
+     * to documents of this persistence collection.
+     * 
+     * All queries in this persistence are scoped with this method.
+     * Counters share the keyspace with data items, so they are always excluded by their key namespace.
+     * The scoping by collection is skipped for native collections, when the collection name is not set
+     * or when [[_bucketWideAccess]] is turned on.
+     * 
+     * @param filter    a structured filter or a raw filter string.
+     * @param params    query parameters to collect filter values.
+     * @returns a scoped N1QL condition.
+     */
+    protected composeScopedFilter(filter: any, params: CouchbaseQueryParams): string {
+        let condition = this.compileFilter(filter, params);
+
+        let scopeFilter = "META().id NOT LIKE " + params.add(CouchbasePersistence._counterNamespace + "%");
+        if (!this._nativeCollections && !this._bucketWideAccess && this._collectionName != null)
+            scopeFilter = "_c=" + params.add(this._collectionName) + " AND " + scopeFilter;
+
+        return condition != null ? scopeFilter + " AND (" + condition + ")" : scopeFilter;
+    }
+
+    /**
+     * Gets the keyspace to be used in FROM clause of N1QL statements.
+     * For native collections it is <code>`bucket`.`scope`.`collection`</code>,
+     * otherwise it is the bucket.
+     * 
+     * @returns the escaped keyspace.
+     */
+    protected getKeyspace(): string {
+        if (!this._nativeCollections)
+            return "`" + this._bucketName + "`";
+
+        return "`" + this._bucketName + "`.`" + this._scopeName + "`.`"
+            + (this._collectionName || "_default") + "`";
+    }
+
+    /**
+     * Extracts a document from a row returned by <code>SELECT *</code> statement.
+     * When the row also has the document key in <code>_key</code> field
+     * and the document has no id, the id is recovered from the key.
+     * 
+     * @param row   a query result row.
+     * @returns the document stored in the row.
+     */
+    protected getDocumentFromRow(row: any): any {
+        if (row == null) return null;
+        let alias = this._nativeCollections ? (this._collectionName || "_default") : this._bucketName;
+        let document = row[alias];
+
+        if (document != null && document.id == null && row._key != null) {
+            let id = this.parseBucketId(row._key);
+            if (id != null) document.id = id;
+        }
+
+        return document;
+    }
+
     /**
 	 * Checks if the component is opened.
 	 * 
@@ -263,6 +455,13 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
             this._localConnection = true;
         }
 
+        // The local connection must not stay open when the persistence fails to open
+        let fail = (err) => {
+            if (this._localConnection && this._connection != null && this._connection.isOpen())
+                this._connection.close(correlationId, () => { if (callback) callback(err); });
+            else if (callback) callback(err);
+        };
+
         let openCurl = (err) => {
             if (err == null && this._connection == null) {
                 err = new InvalidStateException(correlationId, 'NO_CONNECTION', 'Couchbase connection is missing');
@@ -272,20 +471,56 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
                 err = new ConnectionException(correlationId, "CONNECT_FAILED", "Couchbase connection is not opened");
             }
 
+            let consistency = this._options.getAsStringWithDefault("scan_consistency", ScanConsistency.RequestPlus);
+            if (err == null && !ScanConsistency.isValid(consistency)) {
+                err = new ConfigException(correlationId, "BAD_SCAN_CONSISTENCY", "Scan consistency " + consistency + " is not supported")
+                    .withDetails("scan_consistency", consistency);
+            }
+
             this._opened = false;
 
             if (err) {
-                if (callback) callback(err);
-            } else {
-                this._cluster = this._connection.getConnection();
-                this._bucket = this._connection.getBucket();
-                this._bucketName = this._connection.getBucketName();
-                
-                let couchbase = require('couchbase');
-                this._query = couchbase.N1qlQuery;
+                fail(err);
+                return;
+            }
+
+            // Persistences with their own bucket share the cluster connection
+            this._bucketName = this._ownBucketName || this._connection.getBucketName();
+            this._scopeName = this._scopeName || this._connection.getScopeName() || "_default";
+
+            async.series([
+                (callback) => {
+                    this._connection.openBucket(correlationId, this._bucketName, (err) => {
+                        if (err == null) {
+                            this.attachConnection();
+
+                            let couchbase = require('couchbase');
+                            this._mutationState = new couchbase.MutationState();
+                        }
+                        callback(err);
+                    });
+                },
+                (callback) => {
+                    this.createCollection(correlationId, callback);
+                },
+                (callback) => {
+                    this.createIndexes(correlationId, callback);
+                }
+            ], (err) => {
+                if (err) {
+                    this._cluster = null;
+                    this._bucket = null;
+                    this._collection = null;
+                    this._mutationState = null;
+                    fail(err);
+                    return;
+                }
+
+                this._connection.addReconnectListener(this._reconnectListener);
+                this._opened = true;
 
                 if (callback) callback(null);
-            }
+            });
         };
 
         if (this._localConnection) {
@@ -295,6 +530,21 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         }
     }
 
+    /**
+	 * Opens the component asynchronously.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the component is opened.
+     */
+    public openAsync(correlationId: string): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            this.open(correlationId, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
     /**
 	 * Closes component and frees used resources.
 	 * 
@@ -312,11 +562,14 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
             return;
         }
         
+        this._connection.removeReconnectListener(this._reconnectListener);
+
         let closeCurl = (err) => {
             this._opened = false;
             this._cluster = null;
             this._bucket = null;
-            this._query = null;
+            this._collection = null;
+            this._mutationState = null;
     
             if (callback) callback(err);
         }
@@ -328,8 +581,412 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         }
     }
 
+    /**
+	 * Closes component and frees used resources asynchronously.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the component is closed.
+     */
+    public closeAsync(correlationId: string): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            this.close(correlationId, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Takes cluster, bucket and collection objects from the connection.
+     * It is called on open and again when the connection is reopened by health monitoring.
+     */
+    private attachConnection(): void {
+        this._cluster = this._connection.getConnection();
+        this._bucket = this._connection.getBucket(this._bucketName);
+
+        if (this._nativeCollections) {
+            let collectionName = this._collectionName || "_default";
+            this._collection = this._bucket.scope(this._scopeName).collection(collectionName);
+        } else {
+            this._collection = this._bucket.defaultCollection();
+        }
+    }
+
+    private createCollection(correlationId: string, callback: (err: any) => void): void {
+        if (!this._nativeCollections) {
+            callback(null);
+            return;
+        }
+
+        let couchbase = require('couchbase');
+        let collectionName = this._collectionName || "_default";
+
+        async.series([
+            (callback) => {
+                // Connection creates the scope only in its own bucket
+                let autocreate = this._options.getAsBooleanWithDefault("auto_create", false);
+                if (!autocreate || this._scopeName == "_default") {
+                    callback();
+                    return;
+                }
+
+                this._bucket.collections().createScope(this._scopeName, (err) => {
+                    if (err instanceof couchbase.ScopeExistsError)
+                        err = null;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                let autocreate = this._options.getAsBooleanWithDefault("auto_create", false);
+                if (!autocreate || collectionName == "_default") {
+                    callback();
+                    return;
+                }
+
+                this._bucket.collections().createCollection(collectionName, this._scopeName, (err) => {
+                    if (err instanceof couchbase.CollectionExistsError)
+                        err = null;
+
+                    if (err == null)
+                        this._logger.debug(correlationId, "Created collection %s in %s", collectionName, this._bucketName);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                let autoIndex = this._options.getAsBooleanWithDefault("auto_index", false);
+                if (!autoIndex) {
+                    callback();
+                    return;
+                }
+
+                let statement = "CREATE PRIMARY INDEX IF NOT EXISTS ON " + this.getKeyspace();
+                this._cluster.query(statement, (err) => {
+                    callback(err);
+                });
+            }
+        ], (err) => {
+            if (err) {
+                err = new ConnectionException(correlationId, "CREATE_COLLECTION_FAILED", "Failed to create couchbase collection " + collectionName)
+                    .withCause(err);
+            }
+
+            callback(err);
+        });
+    }
+
+    /**
+     * Declares a secondary GSI index required by this persistence.
+     * 
+     * Child classes shall call this method in their constructors.
+     * Declared indexes are created on [[open]] when <code>options.auto_index</code> is set
+     * and the build of deferred ones is triggered. Otherwise the persistence only verifies
+     * that the indexes exist and reports missing ones in the log.
+     * 
+     * ### Example ###
+     * 
+     *     public constructor() {
+     *         super("mybucket", "mydata");
+     *         this.ensureIndex("idx_mydata_name", ["name"], "_c='mydata'", true);
+     *     }
+     * 
+     * @param name      an index name unique within the keyspace.
+     * @param fields    indexed fields or N1QL expressions.
+     * @param where     (optional) a N1QL condition of a partial index.
+     * @param deferred  (optional) true to defer the index build (default: false).
+     */
+    protected ensureIndex(name: string, fields: string[], where?: string, deferred?: boolean): void {
+        let index = new CouchbaseIndex();
+        index.name = name;
+        index.fields = fields;
+        index.where = where;
+        index.deferred = deferred == true;
+        this._indexes.push(index);
+    }
+
+    private composeIndexStatement(index: CouchbaseIndex): string {
+        let fields = _.map(index.fields, (field) => {
+            // Escape plain fields and keep expressions as they are
+            return /^[\w.]+$/.test(field) ? CouchbaseFilter.escapeField(field) : field;
+        });
+
+        let statement = "CREATE INDEX " + CouchbaseFilter.escapeField(index.name)
+            + " IF NOT EXISTS ON " + this.getKeyspace() + "(" + fields.join(", ") + ")";
+        if (index.where != null && !_.isEmpty(index.where))
+            statement += " WHERE " + index.where;
+        if (index.deferred)
+            statement += " WITH { \"defer_build\": true }";
+
+        return statement;
+    }
+
+    private readIndexStates(correlationId: string, callback: (err: any, states: any) => void): void {
+        let params = this.createQueryParams();
+        let statement = "SELECT i.name, i.state FROM system:indexes AS i WHERE ";
+        if (this._nativeCollections) {
+            statement += "i.bucket_id=" + params.add(this._bucketName)
+                + " AND i.scope_id=" + params.add(this._scopeName)
+                + " AND i.keyspace_id=" + params.add(this._collectionName || "_default");
+        } else {
+            statement += "i.keyspace_id=" + params.add(this._bucketName) + " AND i.bucket_id IS MISSING";
+        }
+
+        let options = { scanConsistency: ScanConsistency.NotBounded };
+        this.executeQuery(correlationId, statement, params, options, (err, rows) => {
+            let states: any = {};
+            _.each(rows, (row) => { states[row.name] = row.state; });
+            callback(err, states);
+        });
+    }
+
+    private createIndexes(correlationId: string, callback: (err: any) => void): void {
+        if (this._indexes.length == 0) {
+            callback(null);
+            return;
+        }
+
+        let autoIndex = this._options.getAsBooleanWithDefault("auto_index", false);
+        let keyspace = this.getKeyspace();
+        let states: any = {};
+
+        async.series([
+            (callback) => {
+                this.readIndexStates(correlationId, (err, result) => {
+                    states = result;
+                    callback(err);
+                });
+            },
+            (callback) => {
+                if (!autoIndex) {
+                    callback();
+                    return;
+                }
+
+                async.eachSeries(this._indexes, (index: CouchbaseIndex, callback) => {
+                    if (states[index.name] != null) {
+                        callback();
+                        return;
+                    }
+
+                    this._cluster.query(this.composeIndexStatement(index), (err) => {
+                        if (err == null) {
+                            states[index.name] = index.deferred ? "deferred" : "online";
+                            this._logger.info(correlationId, "Created index %s on %s", index.name, keyspace);
+                        }
+                        callback(err);
+                    });
+                }, callback);
+            },
+            (callback) => {
+                let names = _.map(_.filter(this._indexes, (index) => states[index.name] == "deferred"), (index) => index.name);
+                if (!autoIndex || names.length == 0) {
+                    callback();
+                    return;
+                }
+
+                let statement = "BUILD INDEX ON " + keyspace + "("
+                    + _.map(names, (name) => CouchbaseFilter.escapeField(name)).join(", ") + ")";
+                this._cluster.query(statement, (err) => {
+                    if (err == null)
+                        this._logger.info(correlationId, "Started build of indexes %s on %s", names.join(", "), keyspace);
+                    callback(err);
+                });
+            }
+        ], (err) => {
+            if (err) {
+                err = new ConnectionException(correlationId, "CREATE_INDEX_FAILED", "Failed to create couchbase indexes on " + keyspace)
+                    .withCause(err);
+            } else {
+                let missing = _.map(_.filter(this._indexes, (index) => states[index.name] == null), (index) => index.name);
+                if (missing.length > 0)
+                    this._logger.warn(correlationId, "Missing indexes on %s: %s", keyspace, missing.join(", "));
+                else
+                    this._logger.debug(correlationId, "Verified %d indexes on %s", this._indexes.length, keyspace);
+            }
+
+            callback(err);
+        });
+    }
+
+    /**
+     * Composes options of N1QL query with its parameters and scan consistency.
+     * 
+     * The consistency is taken from the query options when it is set there,
+     * otherwise it is taken from <code>options.scan_consistency</code> configuration parameter.
+     * statement_plus consistency is not supported by Couchbase 3.x SDK and is replaced with request_plus.
+     * 
+     * @param params        (optional) query parameters.
+     * @param options       (optional) query options to override the configured settings.
+     * @returns composed options for <code>cluster.query</code>.
+     */
+    protected composeQueryOptions(params: CouchbaseQueryParams, options?: CouchbaseQueryOptions): any {
+        let result: any = {};
+
+        if (params != null && params.length() > 0)
+            result.parameters = params.getValues();
+
+        let consistency = options != null && options.scanConsistency != null
+            ? options.scanConsistency
+            : this._options.getAsStringWithDefault("scan_consistency", ScanConsistency.RequestPlus);
+
+        if (consistency == ScanConsistency.AtPlus) {
+            let state = options != null && options.mutationState != null
+                ? options.mutationState : this._mutationState;
+            // Without tokens the writes can't be tracked, so request_plus keeps them visible
+            if (state != null && !_.isEmpty(state.toJSON()))
+                result.consistentWith = state;
+            else
+                result.scanConsistency = ScanConsistency.RequestPlus;
+        } else if (consistency == ScanConsistency.NotBounded) {
+            result.scanConsistency = ScanConsistency.NotBounded;
+        } else {
+            result.scanConsistency = ScanConsistency.RequestPlus;
+        }
+
+        return result;
+    }
+
+    /**
+     * Executes a N1QL statement.
+     * 
+     * Child classes shall use this method to run custom queries,
+     * so they are executed with the configured query settings.
+     * SELECT statements are retried after transient failures according to the retry policy.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param statement         a N1QL statement.
+     * @param params            (optional) query parameters referenced in the statement.
+     * @param options           (optional) query options to override the configured settings.
+     * @param callback          callback function that receives result rows or error.
+     */
+    protected executeQuery(correlationId: string, statement: string, params: CouchbaseQueryParams,
+        options: CouchbaseQueryOptions, callback: (err: any, rows: any[]) => void): void {
+        let queryOptions = this.composeQueryOptions(params, options);
+        let query = (callback) => { this._cluster.query(statement, queryOptions, callback); };
+        // Other statements may change data, so they are not safe to repeat
+        let execute = /^\s*SELECT\b/i.test(statement)
+            ? (callback) => { this.retry(correlationId, "query", query, callback); }
+            : query;
+
+        execute((err, result) => {
+            if (err) {
+                callback(CouchbaseErrorMapper.map(correlationId, err), null);
+                return;
+            }
+
+            callback(null, result != null ? result.rows : []);
+        });
+    }
+
+    /**
+     * Performs an operation and repeats it after transient failures according to the retry policy.
+     * 
+     * Child classes shall use this method only for reads and idempotent writes,
+     * because an operation that timed out may have already been completed on the server.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param operation         a name of the operation to log retries.
+     * @param action            an action that performs the operation and calls back with an SDK error or result.
+     * @param callback          callback function that receives the result of the last attempt or error.
+     */
+    protected retry(correlationId: string, operation: string, action: (callback: (err: any, result: any) => void) => void,
+        callback: (err: any, result: any) => void): void {
+        let attempt = (count: number) => {
+            action((err, result) => {
+                if (!this._retryPolicy.shouldRetry(err, count)) {
+                    callback(err, result);
+                    return;
+                }
+
+                let timeout = this._retryPolicy.getTimeout(count);
+                this._logger.warn(correlationId, "Attempt %d of %d to %s in %s failed with %s, retrying in %d ms",
+                    count, this._retryPolicy.getAttempts(), operation, this._bucketName, err.message || err, timeout);
+                setTimeout(() => { attempt(count + 1); }, timeout);
+            });
+        };
+
+        attempt(1);
+    }
+
+    /**
+     * Composes options of key-value write operation with document expiry.
+     * 
+     * The expiry is taken from the write options when it is set there,
+     * otherwise it is taken from <code>options.expiry</code> configuration parameter.
+     * When neither of them sets the expiry, operations that replace existing documents
+     * keep their current expiry when <code>options.preserve_expiry</code> is turned on.
+     * Expiries longer than 30 days are converted into absolute timestamps by [[CouchbaseExpiry]].
+     * 
+     * @param options       (optional) write options to override the configured settings.
+     * @param replace       (optional) true when the operation may replace an existing document.
+     * @returns composed options for key-value operation.
+     */
+    protected composeWriteOptions(options?: CouchbaseWriteOptions, replace?: boolean): any {
+        let result: any = {};
+
+        let explicit = options != null && options.expiry != null;
+        let expiry = explicit ? options.expiry : this._expiry;
+        if (expiry > 0)
+            result.expiry = CouchbaseExpiry.toServerExpiry(expiry);
+        else if (replace && !explicit && this._preserveExpiry)
+            result.preserveExpiry = true;
+
+        return result;
+    }
+
+    /**
+     * Checks if the error returned by a key-value operation
+     * means that the requested document does not exist.
+     * 
+     * @param err   an error to check.
+     * @returns true if the document was not found and false otherwise.
+     */
+    protected isDocumentNotFound(err: any): boolean {
+        return CouchbaseErrorMapper.isDocumentNotFound(err);
+    }
+
+    /**
+     * Checks if the error returned by a key-value operation
+     * means that a document with the same key already exists.
+     * 
+     * @param err   an error to check.
+     * @returns true if the document already exists and false otherwise.
+     */
+    protected isDocumentExists(err: any): boolean {
+        return CouchbaseErrorMapper.isDocumentExists(err);
+    }
+
+    /**
+     * Checks if the error returned by a key-value operation
+     * means that the document was changed since its CAS value was read.
+     * 
+     * @param err   an error to check.
+     * @returns true if CAS values do not match and false otherwise.
+     */
+    protected isCasMismatch(err: any): boolean {
+        return CouchbaseErrorMapper.isCasMismatch(err);
+    }
+
+    /**
+     * Remembers a token of the mutation made by this persistence
+     * to make following at_plus queries consistent with it.
+     * 
+     * @param result    a result of the mutation operation.
+     */
+    protected trackMutation(result: any): void {
+        if (this._mutationState != null && result != null && result.token != null)
+            this._mutationState.add(result.token);
+    }
+
     /**
 	 * Clears component state.
+     * 
+     * By default it deletes only documents that belong to this persistence collection,
+     * even when bucket-wide access is enabled. Without a collection name in emulated mode
+     * it fails instead of deleting the entire bucket.
+     * Counters are kept in both native and emulated modes.
+     * When <code>options.flush_on_clear</code> is set it flushes the entire bucket
+     * including documents of all other collections.
 	 * 
 	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
      * @param callback 			callback function that receives error or null no errors occured.
@@ -341,7 +998,62 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
             return;
         }
 
-        this._bucket.manager().flush((err) => {
+        let flush = this._options.getAsBooleanWithDefault("flush_on_clear", false);
+        if (flush) {
+            this.flushBucket(correlationId, callback);
+            return;
+        }
+
+        let statement = "DELETE FROM " + this.getKeyspace();
+
+        // Native collections are keyspaces on their own, emulated ones are always scoped
+        // by the collection field, so bucket-wide access can't wipe other collections.
+        // Counters have no collection field, so native mode skips them by key to match
+        let params = this.createQueryParams();
+        if (this._nativeCollections) {
+            statement += " WHERE META().id NOT LIKE " + params.add(CouchbasePersistence._counterNamespace + "%");
+        } else {
+            if (this._collectionName == null) {
+                let err = new ConfigException(correlationId, "NO_COLLECTION",
+                    "Collection name is not defined, set options.flush_on_clear to clear the entire bucket");
+                if (callback) callback(err);
+                return;
+            }
+            statement += " WHERE _c=" + params.add(this._collectionName);
+        }
+        statement += " RETURNING META().id";
+
+        let options = { scanConsistency: ScanConsistency.RequestPlus };
+        this.executeQuery(correlationId, statement, params, options, (err, items) => {
+            if (err) {
+                err = new ConnectionException(correlationId, "CLEAR_FAILED", "Couchbase collection clear failed")
+                    .withCause(err);
+            } else {
+                let count = items != null ? items.length : 0;
+                this._logger.trace(correlationId, "Cleared %d items from %s", count, this._bucketName);
+            }
+
+            if (callback) callback(err);
+        });
+    }
+
+    /**
+	 * Clears component state asynchronously.
+	 * 
+	 * @param correlationId 	(optional) transaction id to trace execution through call chain.
+     * @returns a promise that is resolved when the component is cleared.
+     */
+    public clearAsync(correlationId: string): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            this.clear(correlationId, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    private flushBucket(correlationId: string, callback?: (err: any) => void): void {
+        this._cluster.buckets().flushBucket(this._bucketName, (err) => {
            if (err) {
                 err = new ConnectionException(correlationId, "FLUSH_FAILED", "Couchbase bucket flush failed")
                     .withCause(err);
@@ -359,17 +1071,28 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      * receives FilterParams and converts them into a filter function.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter query string after WHERE clause
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
      * @param paging            (optional) paging parameters
      * @param sort              (optional) sorting string after ORDER BY clause
      * @param select            (optional) projection string after SELECT clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
      * @param callback          callback function that receives a data page or error.
      */
     protected getPageByFilter(correlationId: string, filter: any, paging: PagingParams, 
-        sort: any, select: any, callback: (err: any, items: DataPage<T>) => void): void {
+        sort: any, select: any, callback: (err: any, items: DataPage<T>) => void): void;
+    protected getPageByFilter(correlationId: string, filter: any, paging: PagingParams, 
+        sort: any, select: any, options: CouchbaseQueryOptions, callback: (err: any, items: DataPage<T>) => void): void;
+    protected getPageByFilter(correlationId: string, filter: any, paging: PagingParams, 
+        sort: any, select: any, options: any, callback?: (err: any, items: DataPage<T>) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
 
         select = select && !_.isEmpty(select) ? select : "*"
-        let statement = "SELECT " + select + " FROM `" + this._bucketName + "`";
+        // Document keys restore ids of documents stored without them
+        let statement = "SELECT " + (select == "*" ? "META().id AS `_key`, *" : select) + " FROM " + this.getKeyspace();
 
         // Adjust max item count based on configuration
         paging = paging || new PagingParams();
@@ -377,21 +1100,16 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         let take = paging.getTake(this._maxPageSize);
         let pagingEnabled = paging.total;
 
-        let collectionFilter = "_c='" + this._collectionName + "'"
-        if (filter && !_.isEmpty(filter))
-            filter = collectionFilter + " AND " + filter;
-        else filter = collectionFilter;
-        statement += " WHERE " + filter;
+        let params = this.createQueryParams();
+        filter = this.composeScopedFilter(filter, params);
+        if (filter != null) statement += " WHERE " + filter;
 
         if (sort && !_.isEmpty(sort)) statement += " ORDER BY " + sort;
 
         if (skip >= 0) statement += " OFFSET " + skip;
         statement += " LIMIT " + take;
 
-        let query = this._query.fromString(statement);
-        // Todo: Make it configurable?
-        query.consistency(this._query.Consistency.STATEMENT_PLUS);
-        this._bucket.query(query, [], (err, items) => {
+        this.executeQuery(correlationId, statement, params, options, (err, items) => {
             if (err) {
                 callback(err, null);
                 return;
@@ -400,22 +1118,21 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
             if (items != null)
                 this._logger.trace(correlationId, "Retrieved %d from %s", items.length, this._bucketName);
 
-            items = _.map(items, item => select == "*" ? item[this._bucketName] : item);
-            items = _.map(items, this.convertToPublic);
+            items = _.map(items, item => select == "*" ? this.getDocumentFromRow(item) : item);
+            items = _.map(items, item => this.convertToPublic(item));
             items = _.filter(items, item => item != null);
 
             if (pagingEnabled) {
-                statement = "SELECT COUNT(*) FROM `" + this._bucketName + "`";
-                if (filter && !_.isEmpty(filter)) statement += " WHERE " + filter;
+                statement = "SELECT COUNT(*) FROM " + this.getKeyspace();
+                if (filter != null) statement += " WHERE " + filter;
 
-                query = this._query.fromString(statement);
-                this._bucket.query(query, [], (err, counts) => {
+                this.executeQuery(correlationId, statement, params, options, (err, counts) => {
                     if (err) {
                         callback(err, null);
                         return;
                     }
                         
-                    let count = counts ? counts[0]['$1'] : 0;
+                    let count = counts && counts.length > 0 ? counts[0]['$1'] : 0;
                     let page = new DataPage<T>(items, count);
                     callback(null, page);
                 });
@@ -426,6 +1143,187 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         });
     }
 
+    /**
+     * Gets a page of data items retrieved by a given filter asynchronously.
+     * 
+     * It calls [[getPageByFilter]] of the instance, so overrides in child classes apply.
+     * Child classes that override it with a different signature shall override this method too.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param paging            (optional) paging parameters
+     * @param sort              (optional) sorting string after ORDER BY clause
+     * @param select            (optional) projection string after SELECT clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @returns a promise that receives a data page.
+     */
+    protected getPageByFilterAsync(correlationId: string, filter: any, paging: PagingParams, 
+        sort: any, select: any, options?: CouchbaseQueryOptions): Promise<DataPage<T>> {
+        return new Promise<DataPage<T>>((resolve, reject) => {
+            this.getPageByFilter(correlationId, filter, paging, sort, select, options,
+                (err, page) => {
+                    if (err) reject(err);
+                    else resolve(page);
+                });
+        });
+    }
+
+    /**
+     * Gets a page of data items using keyset pagination.
+     * 
+     * Items are sorted by the sort field and the document key. The next page starts right after
+     * the last item of the previous page referenced by the token, so unlike paging with skip and take
+     * it doesn't slow down on deep pages and doesn't skip or repeat items when data changes between pages.
+     * Items with missing or null sort field follow N1QL ordering: they go first in ascending order
+     * and last in descending order. To make the queries fast create an index
+     * on the sort field and <code>META().id</code>.
+     * 
+     * Tokens are bound to the sort field, sort direction and filter of the query that issued them.
+     * A token used with a different query fails with BadRequestException.
+     * 
+     * This method shall be called by a public method from child class that
+     * receives FilterParams and converts them into a filter function.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param token             (optional) a token of the previous page or null to get the first page
+     * @param take              (optional) a maximum number of items in the page (default: max page size)
+     * @param sortField         (optional) a dotted path of the sort field or null to sort by document keys only
+     * @param descending        (optional) true to sort in descending order (default: false)
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @param callback          callback function that receives a data page or error.
+     */
+    protected getPageByToken(correlationId: string, filter: any, token: string, take: number,
+        sortField: any, descending: boolean, callback: (err: any, page: CouchbaseTokenPage<T>) => void): void;
+    protected getPageByToken(correlationId: string, filter: any, token: string, take: number,
+        sortField: any, descending: boolean, options: CouchbaseQueryOptions,
+        callback: (err: any, page: CouchbaseTokenPage<T>) => void): void;
+    protected getPageByToken(correlationId: string, filter: any, token: string, take: number,
+        sortField: any, descending: boolean, options: any,
+        callback?: (err: any, page: CouchbaseTokenPage<T>) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        let lastItem: CouchbasePageToken = null;
+        if (token != null && token != "") {
+            try {
+                lastItem = CouchbasePageToken.decode(correlationId, token);
+            } catch (ex) {
+                callback(ex, null);
+                return;
+            }
+        }
+
+        // Adjust max item count based on configuration
+        take = take != null && take > 0 ? Math.min(take, this._maxPageSize) : this._maxPageSize;
+
+        sortField = sortField != null && sortField != "" ? sortField : null;
+        descending = descending == true;
+        let sortExpression = sortField != null ? CouchbaseFilter.escapeField(sortField) : null;
+        let direction = descending ? " DESC" : "";
+
+        let params = this.createQueryParams();
+        filter = this.composeScopedFilter(filter, params);
+        let filterHash = CouchbasePageToken.hashFilter(filter, params.getValues());
+
+        if (lastItem != null) {
+            if (!lastItem.matches(sortField, descending, filterHash)) {
+                let err = new BadRequestException(correlationId, "PAGE_TOKEN_MISMATCH",
+                    "Page token was issued for a query with another sort or filter")
+                    .withDetails("token", token);
+                callback(err, null);
+                return;
+            }
+
+            let condition = this.composeKeysetCondition(sortExpression, descending, lastItem, params);
+            filter = filter != null ? "(" + filter + ") AND (" + condition + ")" : condition;
+        }
+
+        let statement = "SELECT META().id AS `_key`, * FROM " + this.getKeyspace();
+        if (filter != null) statement += " WHERE " + filter;
+        statement += " ORDER BY " + (sortExpression != null ? sortExpression + direction + ", " : "") + "META().id" + direction;
+        // One extra item shows if there is a next page
+        statement += " LIMIT " + (take + 1);
+
+        this.executeQuery(correlationId, statement, params, options, (err, rows) => {
+            if (err) {
+                callback(err, null);
+                return;
+            }
+
+            rows = rows || [];
+            let hasMore = rows.length > take;
+            rows = _.take(rows, take);
+            this._logger.trace(correlationId, "Retrieved %d from %s", rows.length, this._bucketName);
+
+            let nextToken: string = null;
+            if (hasMore) {
+                let last = rows[rows.length - 1];
+                // Undefined value marks a missing sort field
+                let sortValue = sortField != null ? _.get(this.getDocumentFromRow(last), sortField) : null;
+                nextToken = new CouchbasePageToken(sortValue, last._key, sortField, descending, filterHash).encode();
+            }
+
+            let items = _.map(rows, row => this.convertToPublic(this.getDocumentFromRow(row)));
+            items = _.filter(items, item => item != null);
+
+            callback(null, new CouchbaseTokenPage<T>(items, nextToken));
+        });
+    }
+
+    private composeKeysetCondition(sortExpression: string, descending: boolean,
+        lastItem: CouchbasePageToken, params: CouchbaseQueryParams): string {
+        let operator = descending ? "<" : ">";
+        let keyCondition = "META().id" + operator + params.add(lastItem.key);
+        if (sortExpression == null)
+            return keyCondition;
+
+        // N1QL sorts MISSING before NULL and NULL before any value. Comparisons with them
+        // are never true, so the groups are selected with IS operators
+        if (lastItem.sortValue === undefined) {
+            return descending
+                ? sortExpression + " IS MISSING AND " + keyCondition
+                : "(" + sortExpression + " IS MISSING AND " + keyCondition + ") OR " + sortExpression + " IS NOT MISSING";
+        }
+
+        if (lastItem.sortValue === null) {
+            return descending
+                ? "(" + sortExpression + " IS NULL AND " + keyCondition + ") OR " + sortExpression + " IS MISSING"
+                : "(" + sortExpression + " IS NULL AND " + keyCondition + ") OR " + sortExpression + " IS VALUED";
+        }
+
+        let value = params.add(lastItem.sortValue);
+        let condition = sortExpression + operator + value
+            + " OR (" + sortExpression + "=" + value + " AND " + keyCondition + ")";
+        return descending ? condition + " OR " + sortExpression + " IS NOT VALUED" : condition;
+    }
+
+    /**
+     * Gets a page of data items using keyset pagination asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param token             (optional) a token of the previous page or null to get the first page
+     * @param take              (optional) a maximum number of items in the page (default: max page size)
+     * @param sortField         (optional) a dotted path of the sort field or null to sort by document keys only
+     * @param descending        (optional) true to sort in descending order (default: false)
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @returns a promise that receives a data page.
+     */
+    protected getPageByTokenAsync(correlationId: string, filter: any, token: string, take: number,
+        sortField: any, descending: boolean, options?: CouchbaseQueryOptions): Promise<CouchbaseTokenPage<T>> {
+        return new Promise<CouchbaseTokenPage<T>>((resolve, reject) => {
+            this.getPageByToken(correlationId, filter, token, take,
+                sortField, descending, options, (err, page) => {
+                    if (err) reject(err);
+                    else resolve(page);
+                });
+        });
+    }
+
     /**
      * Gets a number of data items retrieved by a given filter.
      * 
@@ -433,29 +1331,35 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      * receives FilterParams and converts them into a filter function.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter query string after WHERE clause
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
      * @param callback          callback function that receives a data page or error.
      */
     protected getCountByFilter(correlationId: string, filter: any,
-        callback: (err: any, count: number) => void): void {
-
+        callback: (err: any, count: number) => void): void;
+    protected getCountByFilter(correlationId: string, filter: any, options: any,
+        callback: (err: any, count: number) => void): void;
+    protected getCountByFilter(correlationId: string, filter: any, options: any,
+        callback?: (err: any, count: number) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
 
-        let collectionFilter = "_c='" + this._collectionName + "'"
-        if (filter && !_.isEmpty(filter))
-            filter = collectionFilter + " AND " + filter;
-        else filter = collectionFilter;
+        let params = this.createQueryParams();
+        filter = this.composeScopedFilter(filter, params);
 
-        let statement = "SELECT COUNT(*) FROM `" + this._bucketName + "`";
-        if (filter && !_.isEmpty(filter)) statement += " WHERE " + filter;
+        let statement = "SELECT COUNT(*) FROM " + this.getKeyspace();
+        if (filter != null) statement += " WHERE " + filter;
 
-        let query = this._query.fromString(statement);
-        this._bucket.query(query, [], (err, counts) => {
+        this.executeQuery(correlationId, statement, params, options, (err, counts) => {
             if (err) {
                 callback(err, null);
                 return;
             }
                 
-            let count = counts ? counts[0]['$1'] : 0;
+            let count = counts && counts.length > 0 ? counts[0]['$1'] : 0;
 
             if (count != null)
                 this._logger.trace(correlationId, "Counted %d items in %s", count, this._bucketName);
@@ -464,6 +1368,25 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         });
     }
 
+    /**
+     * Gets a number of data items retrieved by a given filter asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @returns a promise that receives a number of data items.
+     */
+    protected getCountByFilterAsync(correlationId: string, filter: any,
+        options?: CouchbaseQueryOptions): Promise<number> {
+        return new Promise<number>((resolve, reject) => {
+            this.getCountByFilter(correlationId, filter, options,
+                (err, count) => {
+                    if (err) reject(err);
+                    else resolve(count);
+                });
+        });
+    }
+
     /**
      * Gets a list of data items retrieved by a given filter and sorted according to sort parameters.
      * 
@@ -471,26 +1394,34 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      * receives FilterParams and converts them into a filter function.
      * 
      * @param correlationId    (optional) transaction id to trace execution through call chain.
-     * @param filter           (optional) a filter JSON object
-     * @param paging           (optional) paging parameters
-     * @param sort             (optional) sorting JSON object
-     * @param select           (optional) projection JSON object
+     * @param filter           (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param sort             (optional) sorting string after ORDER BY clause
+     * @param select           (optional) projection string after SELECT clause
+     * @param options          (optional) [[CouchbaseQueryOptions]] to override the configured settings
      * @param callback         callback function that receives a data list or error.
      */
     protected getListByFilter(correlationId: string, filter: any, sort: any, select: any, 
-        callback: (err: any, items: T[]) => void): void {
+        callback: (err: any, items: T[]) => void): void;
+    protected getListByFilter(correlationId: string, filter: any, sort: any, select: any, 
+        options: CouchbaseQueryOptions, callback: (err: any, items: T[]) => void): void;
+    protected getListByFilter(correlationId: string, filter: any, sort: any, select: any, 
+        options: any, callback?: (err: any, items: T[]) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
         
         select = select && !_.isEmpty(select) ? select : "*"
-        let statement = "SELECT " + select + " FROM `" + this._bucketName + "`";
+        // Document keys restore ids of documents stored without them
+        let statement = "SELECT " + (select == "*" ? "META().id AS `_key`, *" : select) + " FROM " + this.getKeyspace();
 
-        // Adjust max item count based on configuration
-        if (filter && !_.isEmpty(filter)) statement += " WHERE " + filter;
+        let params = this.createQueryParams();
+        filter = this.composeScopedFilter(filter, params);
+        if (filter != null) statement += " WHERE " + filter;
         if (sort && !_.isEmpty(sort)) statement += " ORDER BY " + sort;
 
-        let query = this._query.fromString(statement);
-        // Todo: Make it configurable?
-        query.consistency(this._query.Consistency.REQUEST_PLUS);
-        this._bucket.query(query, [], (err, items) => {
+        this.executeQuery(correlationId, statement, params, options, (err, items) => {
             if (err) {
                 callback(err, null);
                 return;
@@ -499,14 +1430,35 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
             if (items != null)
                 this._logger.trace(correlationId, "Retrieved %d from %s", items.length, this._bucketName);
 
-            items = _.map(items, item => select == "*" ? item[this._bucketName] : item);
-            items = _.map(items, this.convertToPublic);
+            items = _.map(items, item => select == "*" ? this.getDocumentFromRow(item) : item);
+            items = _.map(items, item => this.convertToPublic(item));
             items = _.filter(items, item => item != null);
     
             callback(null, items);
         });    
     }
 
+    /**
+     * Gets a list of data items retrieved by a given filter asynchronously.
+     * 
+     * @param correlationId    (optional) transaction id to trace execution through call chain.
+     * @param filter           (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param sort             (optional) sorting string after ORDER BY clause
+     * @param select           (optional) projection string after SELECT clause
+     * @param options          (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @returns a promise that receives a data list.
+     */
+    protected getListByFilterAsync(correlationId: string, filter: any, sort: any, select: any,
+        options?: CouchbaseQueryOptions): Promise<T[]> {
+        return new Promise<T[]>((resolve, reject) => {
+            this.getListByFilter(correlationId, filter, sort, select, options,
+                (err, items) => {
+                    if (err) reject(err);
+                    else resolve(items);
+                });
+        });
+    }
+
      /**
      * Gets a random item from items that match to a given filter.
      * 
@@ -514,54 +1466,98 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      * receives FilterParams and converts them into a filter function.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter JSON object
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
      * @param callback          callback function that receives a random item or error.
      */
-    protected getOneRandom(correlationId: string, filter: any, callback: (err: any, item: T) => void): void {
-        let statement = "SELECT COUNT(*) FROM `" + this._bucketName + "`";
+    protected getOneRandom(correlationId: string, filter: any, callback: (err: any, item: T) => void): void;
+    protected getOneRandom(correlationId: string, filter: any, options: any,
+        callback: (err: any, item: T) => void): void;
+    protected getOneRandom(correlationId: string, filter: any, options: any,
+        callback?: (err: any, item: T) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
 
-        // Adjust max item count based on configuration
-        if (filter && !_.isEmpty(filter)) statement += " WHERE " + filter;
+        let statement = "SELECT COUNT(*) FROM " + this.getKeyspace();
+
+        let params = this.createQueryParams();
+        filter = this.composeScopedFilter(filter, params);
+        if (filter != null) statement += " WHERE " + filter;
 
-        let query = this._query.fromString(statement);
-        // Todo: Make it configurable?
-        query.consistency(this._query.Consistency.REQUEST_PLUS);
-        this._bucket.query(query, [], (err, counts) => {
-            let count = counts != null ? counts[0] : 0;
+        this.executeQuery(correlationId, statement, params, options, (err, counts) => {
+            let count = counts != null && counts.length > 0 ? counts[0]['$1'] : 0;
 
             if (err || count == 0) {
                 callback(err, null);
                 return;
             }
 
-            let statement = "SELECT COUNT(*) FROM `" + this._bucketName + "`";
+            let statement = "SELECT META().id AS `_key`, * FROM " + this.getKeyspace();
 
-            // Adjust max item count based on configuration
-            if (filter && !_.isEmpty(filter)) statement += " WHERE " + filter;
+            if (filter != null) statement += " WHERE " + filter;
 
             let skip = Math.trunc(Math.random() * count);
             statement += " OFFSET " + skip + " LIMIT 1";            
 
-            let query = this._query.fromString(statement);
-            this._bucket.query(query, [], (err, items) => {    
+            this.executeQuery(correlationId, statement, params, options, (err, items) => {
+                if (err) {
+                    callback(err, null);
+                    return;
+                }
+
                 if (items != null && items.length > 0)
                     this._logger.trace(correlationId, "Retrieved random item from %s", this._bucketName);
 
-                items = _.map(items, this.convertToPublic);
+                items = _.map(items, item => this.getDocumentFromRow(item));
+                items = _.map(items, item => this.convertToPublic(item));
 
-                callback(null, items[0]);
+                callback(null, items[0] || null);
             });
         });    
     }
 
+    /**
+     * Gets a random item from items that match to a given filter asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @returns a promise that receives a random item or null.
+     */
+    protected getOneRandomAsync(correlationId: string, filter: any,
+        options?: CouchbaseQueryOptions): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.getOneRandom(correlationId, filter, options,
+                (err, item) => {
+                    if (err) reject(err);
+                    else resolve(item);
+                });
+        });
+    }
+
      /**
-     * Generates unique id for specific collection in the bucket
+     * Generates unique id for specific collection in the bucket.
+     * The key layout is defined by [[CouchbaseKeyStrategy]].
+     * 
      * @param value a public unique id.
      * @returns a unique bucket id.
      */
     protected generateBucketId(value: any): string {
-        if (value == null) return null;
-        return this._collectionName + value.toString();
+        return this._keyStrategy.generateKey(this._collectionName, value);
+    }
+
+    /**
+     * Recovers a public id from unique id in the bucket.
+     * 
+     * @param value a unique bucket id.
+     * @returns the public id or null if it cannot be recovered, for instance from hashed keys.
+     */
+    protected parseBucketId(value: string): string {
+        if (!this._keyStrategy.isReversible()) return null;
+        return this._keyStrategy.extractId(this._collectionName, value);
     }
 
 
@@ -570,9 +1566,20 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param item              an item to be created.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
      * @param callback          (optional) callback function that receives created item or error.
      */
-    public create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
+    public create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    public create(correlationId: string, item: T, options: CouchbaseWriteOptions,
+        callback?: (err: any, item: T) => void): void;
+    public create(correlationId: string, item: T, options?: any,
+        callback?: (err: any, item: T) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
         if (item == null) {
             callback(null, null);
             return;
@@ -583,14 +1590,34 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
         let id = newItem.id || IdGenerator.nextLong();
         let objectId = this.generateBucketId(id);
         newItem = this.convertFromPublic(newItem);
-        this._bucket.insert(objectId, newItem, (err, result) => {
+        this._collection.insert(objectId, newItem, this.composeWriteOptions(options), (err, result) => {
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
             if (!err)
                 this._logger.trace(correlationId, "Created in %s with id = %s", this._bucketName, id);
+            this.trackMutation(result);
             newItem = err == null ? this.convertToPublic(newItem) : null;
             callback(err, newItem);
         });
     }
 
+    /**
+     * Creates a data item asynchronously.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be created.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives the created item.
+     */
+    public createAsync(correlationId: string, item: T, options?: CouchbaseWriteOptions): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.create(correlationId, item, options, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
+
      /**
      * Deletes data items that match to a given filter.
      * 
@@ -598,23 +1625,180 @@ export class CouchbasePersistence<T> implements IReferenceable, IUnreferenceable
      * receives FilterParams and converts them into a filter function.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param filter            (optional) a filter JSON object.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
      * @param callback          (optional) callback function that receives error or null for success.
      */
-    public deleteByFilter(correlationId: string, filter: any, callback?: (err: any) => void): void {
-        let statement = "DELETE FROM `" + this._bucketName + "`";
+    public deleteByFilter(correlationId: string, filter: any, callback?: (err: any) => void): void;
+    public deleteByFilter(correlationId: string, filter: any, options: any,
+        callback?: (err: any) => void): void;
+    public deleteByFilter(correlationId: string, filter: any, options?: any,
+        callback?: (err: any) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
 
-        // Adjust max item count based on configuration
-        if (filter && !_.isEmpty(filter)) statement += " WHERE " + filter;
+        let statement = "DELETE FROM " + this.getKeyspace();
+
+        let params = this.createQueryParams();
+        filter = this.composeScopedFilter(filter, params);
+        if (filter != null) statement += " WHERE " + filter;
+        statement += " RETURNING META().id";
 
-        let query = this._query.fromString(statement);
-        this._bucket.query(query, [], (err, counts) => {
+        this.executeQuery(correlationId, statement, params, options, (err, items) => {
             if (!err) {
-                let count = counts != null ? counts[0] : 0;
+                let count = items != null ? items.length : 0;
                 this._logger.trace(correlationId, "Deleted %d items from %s", count, this._bucketName);
             }
 
-            callback(err);
+            if (callback) callback(err);
         });    
     }
+
+    /**
+     * Deletes data items that match to a given filter asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param filter            (optional) a structured [[CouchbaseFilter]] or a raw filter string after WHERE clause
+     * @param options           (optional) [[CouchbaseQueryOptions]] to override the configured settings
+     * @returns a promise that is resolved when the items are deleted.
+     */
+    public deleteByFilterAsync(correlationId: string, filter: any,
+        options?: CouchbaseQueryOptions): Promise<void> {
+        return new Promise<void>((resolve, reject) => {
+            this.deleteByFilter(correlationId, filter, options,
+                (err) => {
+                    if (err) reject(err);
+                    else resolve();
+                });
+        });
+    }
+
+    /**
+     * Generates a unique id of a counter in the bucket.
+     * Counter ids are the keys generated by the key strategy in the counter namespace,
+     * so they never clash with ids of stored data items.
+     * 
+     * @param key   a key of the counter.
+     * @returns a unique bucket id of the counter.
+     */
+    protected generateCounterId(key: string): string {
+        return CouchbasePersistence._counterNamespace + this.generateBucketId(key);
+    }
+
+    private updateCounter(correlationId: string, key: string, delta: number, defaultInitial: number,
+        options: CouchbaseCounterOptions, callback: (err: any, value: number) => void): void {
+
+        let objectId = this.generateCounterId(key);
+        let counterOptions = this.composeWriteOptions(options);
+        counterOptions.initial = options != null && options.initial != null ? options.initial : defaultInitial;
+
+        // Couchbase counters take only positive deltas
+        let binary = this._collection.binary();
+        let operation = delta >= 0
+            ? binary.increment.bind(binary, objectId, delta)
+            : binary.decrement.bind(binary, objectId, -delta);
+
+        operation(counterOptions, (err, result) => {
+            if (err) {
+                err = CouchbaseErrorMapper.map(correlationId, err).withDetails("key", key);
+            } else {
+                this._logger.trace(correlationId, "Changed counter %s in %s by %d", key, this._bucketName, delta);
+            }
+            this.trackMutation(result);
+
+            if (callback) callback(err, err == null && result != null ? Number(result.value) : null);
+        });
+    }
+
+    /**
+     * Atomically increments a counter stored under the given key.
+     * The counter id is generated by [[generateCounterId]],
+     * so it does not clash with ids of stored data items. Counters are not removed by [[clear]].
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a key of the counter.
+     * @param delta             a number to add. Negative deltas decrement the counter.
+     * @param options           (optional) [[CouchbaseCounterOptions]] with initial value (default: delta) and expiry
+     * @param callback          (optional) callback function that receives the new counter value or error.
+     */
+    public increment(correlationId: string, key: string, delta: number,
+        callback?: (err: any, value: number) => void): void;
+    public increment(correlationId: string, key: string, delta: number, options: CouchbaseCounterOptions,
+        callback?: (err: any, value: number) => void): void;
+    public increment(correlationId: string, key: string, delta: number, options?: any,
+        callback?: (err: any, value: number) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        this.updateCounter(correlationId, key, delta, Math.max(0, delta), options, callback);
+    }
+
+    /**
+     * Atomically increments a counter asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a key of the counter.
+     * @param delta             a number to add. Negative deltas decrement the counter.
+     * @param options           (optional) [[CouchbaseCounterOptions]] with initial value (default: delta) and expiry
+     * @returns a promise that receives the new counter value.
+     */
+    public incrementAsync(correlationId: string, key: string, delta: number,
+        options?: CouchbaseCounterOptions): Promise<number> {
+        return new Promise<number>((resolve, reject) => {
+            this.increment(correlationId, key, delta, options, (err, value) => {
+                if (err) reject(err);
+                else resolve(value);
+            });
+        });
+    }
+
+    /**
+     * Atomically decrements a counter stored under the given key.
+     * Couchbase counters are unsigned, so they never go below 0.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a key of the counter.
+     * @param delta             a number to subtract.
+     * @param options           (optional) [[CouchbaseCounterOptions]] with initial value (default: 0) and expiry
+     * @param callback          (optional) callback function that receives the new counter value or error.
+     */
+    public decrement(correlationId: string, key: string, delta: number,
+        callback?: (err: any, value: number) => void): void;
+    public decrement(correlationId: string, key: string, delta: number, options: CouchbaseCounterOptions,
+        callback?: (err: any, value: number) => void): void;
+    public decrement(correlationId: string, key: string, delta: number, options?: any,
+        callback?: (err: any, value: number) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        this.updateCounter(correlationId, key, -delta, 0, options, callback);
+    }
+
+    /**
+     * Atomically decrements a counter asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param key               a key of the counter.
+     * @param delta             a number to subtract.
+     * @param options           (optional) [[CouchbaseCounterOptions]] with initial value (default: 0) and expiry
+     * @returns a promise that receives the new counter value.
+     */
+    public decrementAsync(correlationId: string, key: string, delta: number,
+        options?: CouchbaseCounterOptions): Promise<number> {
+        return new Promise<number>((resolve, reject) => {
+            this.decrement(correlationId, key, delta, options, (err, value) => {
+                if (err) reject(err);
+                else resolve(value);
+            });
+        });
+    }
 }
@@ -0,0 +1,27 @@
+/** @module persistence */
+
+/**
+ * Options to override persistence settings for a single N1QL query.
+ * 
+ * ### Example ###
+ * 
+ *     let options = new CouchbaseQueryOptions();
+ *     options.scanConsistency = ScanConsistency.NotBounded;
+ * 
+ *     super.getPageByFilter(correlationId, filter, paging, null, null, options, callback);
+ * 
+ * @see [[ScanConsistency]]
+ * @see [[CouchbasePersistence]]
+ */
+export class CouchbaseQueryOptions {
+    /**
+     * The scan consistency level defined in [[ScanConsistency]].
+     */
+    public scanConsistency?: string;
+    /**
+     * The Couchbase MutationState object with tokens to be consistent with
+     * when scan consistency is at_plus. When it is not set, the persistence
+     * uses tokens of its own mutations.
+     */
+    public mutationState?: any;
+}
@@ -0,0 +1,77 @@
+/** @module persistence */
+
+/**
+ * Collects values of N1QL query parameters while a statement is composed
+ * and generates placeholders to reference them inside the statement.
+ *
+ * Parameters can be positional (<code>$1</code>, <code>$2</code>, ...) or
+ * named (<code>$p1</code>, <code>$p2</code>, ...). Collected values are passed
+ * to <code>cluster.query</code> as an array or as an object accordingly.
+ *
+ * ### Example ###
+ *
+ *     let params = new CouchbaseQueryParams();
+ *     let statement = "SELECT * FROM `app` WHERE key=" + params.add("ABC");
+ *     // statement: SELECT * FROM `app` WHERE key=$1
+ *     // params.getValues(): ["ABC"]
+ *
+ * @see [[CouchbaseFilter]]
+ */
+export class CouchbaseQueryParams {
+    private _named: boolean;
+    private _values: any[] = [];
+
+    /**
+     * Creates a new instance of query parameters.
+     *
+     * @param named     (optional) true to generate named parameters and false for positional ones (default: false).
+     */
+    public constructor(named?: boolean) {
+        this._named = named == true;
+    }
+
+    /**
+     * Checks if parameters are named or positional.
+     *
+     * @returns true if parameters are named and false otherwise.
+     */
+    public isNamed(): boolean {
+        return this._named;
+    }
+
+    /**
+     * Gets a number of collected parameters.
+     *
+     * @returns the number of collected parameters.
+     */
+    public length(): number {
+        return this._values.length;
+    }
+
+    /**
+     * Adds a parameter value and generates a placeholder to reference it in a statement.
+     *
+     * @param value     a parameter value.
+     * @returns a placeholder to be inserted into a statement.
+     */
+    public add(value: any): string {
+        this._values.push(value);
+        let index = this._values.length;
+        return this._named ? "$p" + index : "$" + index;
+    }
+
+    /**
+     * Gets collected parameter values in the format expected by <code>cluster.query</code>.
+     *
+     * @returns an array of values for positional parameters or a map of values for named parameters.
+     */
+    public getValues(): any {
+        if (!this._named)
+            return this._values.slice();
+
+        let result: any = {};
+        for (let index = 0; index < this._values.length; index++)
+            result["p" + (index + 1)] = this._values[index];
+        return result;
+    }
+}
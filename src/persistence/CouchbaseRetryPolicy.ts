@@ -0,0 +1,97 @@
+/** @module persistence */
+/** @hidden */
+let _ = require('lodash');
+
+import { IConfigurable } from 'pip-services3-commons-node';
+import { ConfigParams } from 'pip-services3-commons-node';
+
+import { CouchbaseErrorMapper } from './CouchbaseErrorMapper';
+
+/**
+ * Policy that decides when and how soon failed Couchbase operations are retried.
+ *
+ * Errors are retried when their codes, assigned by [[CouchbaseErrorMapper]], are in the list
+ * of retriable errors. Timeouts between attempts grow exponentially and are randomized
+ * with jitter, so clients that failed together during a rebalance don't retry all at once.
+ *
+ * ### Configuration parameters ###
+ *
+ * - retry_attempts:              (optional) maximum number of attempts including the first one, 1 to disable retries (default: 3)
+ * - retry_timeout:               (optional) initial timeout in milliseconds between attempts, doubled after every attempt (default: 100)
+ * - retry_max_timeout:           (optional) maximum timeout in milliseconds between attempts (default: 5000)
+ * - retry_jitter:                (optional) random part of the timeout from 0 to 1 (default: 0.5)
+ * - retry_errors:                (optional) comma-separated codes of retriable errors (default: TIMEOUT,TEMPORARY_FAILURE,NOT_MY_VBUCKET)
+ *
+ * ### Example ###
+ *
+ *     let policy = new CouchbaseRetryPolicy();
+ *     policy.configure(ConfigParams.fromTuples(
+ *         "retry_attempts", 5,
+ *         "retry_errors", "TIMEOUT,NOT_MY_VBUCKET"
+ *     ));
+ *
+ *     if (policy.shouldRetry(err, attempt))
+ *         setTimeout(retry, policy.getTimeout(attempt));
+ *
+ * @see [[CouchbasePersistence.retry]]
+ */
+export class CouchbaseRetryPolicy implements IConfigurable {
+    protected _attempts: number = 3;
+    protected _timeout: number = 100;
+    protected _maxTimeout: number = 5000;
+    protected _jitter: number = 0.5;
+    protected _errors: string[] = ["TIMEOUT", "TEMPORARY_FAILURE", "NOT_MY_VBUCKET"];
+
+    /**
+     * Configures component by passing configuration parameters.
+     *
+     * @param config    configuration parameters to be set.
+     */
+    public configure(config: ConfigParams): void {
+        this._attempts = Math.max(1, config.getAsIntegerWithDefault("retry_attempts", this._attempts));
+        this._timeout = Math.max(0, config.getAsIntegerWithDefault("retry_timeout", this._timeout));
+        this._maxTimeout = Math.max(this._timeout, config.getAsIntegerWithDefault("retry_max_timeout", this._maxTimeout));
+        this._jitter = Math.min(1, Math.max(0, config.getAsFloatWithDefault("retry_jitter", this._jitter)));
+
+        let errors = config.getAsNullableString("retry_errors");
+        if (errors != null) {
+            this._errors = _.filter(_.map(errors.split(","), (code) => code.trim().toUpperCase()),
+                (code) => code != "");
+        }
+    }
+
+    /**
+     * Gets the maximum number of attempts including the first one.
+     *
+     * @returns the maximum number of attempts.
+     */
+    public getAttempts(): number {
+        return this._attempts;
+    }
+
+    /**
+     * Checks if an operation that failed with the error can be retried.
+     *
+     * @param err       an SDK error or a mapped exception.
+     * @param attempt   a number of the failed attempt starting from 1.
+     * @returns true if the operation shall be retried and false otherwise.
+     */
+    public shouldRetry(err: any, attempt: number): boolean {
+        if (err == null || attempt >= this._attempts) return false;
+
+        let code = CouchbaseErrorMapper.map(null, err).code;
+        return this._errors.indexOf(code) >= 0;
+    }
+
+    /**
+     * Calculates timeout before the next attempt.
+     *
+     * @param attempt   a number of the failed attempt starting from 1.
+     * @returns a timeout in milliseconds.
+     */
+    public getTimeout(attempt: number): number {
+        let timeout = Math.min(this._maxTimeout, this._timeout * Math.pow(2, attempt - 1));
+        // Jitter takes a random part of the timeout to spread retries of concurrent clients
+        return Math.round(timeout * (1 - this._jitter * Math.random()));
+    }
+}
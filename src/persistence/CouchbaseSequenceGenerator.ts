@@ -0,0 +1,118 @@
+/** @module persistence */
+
+import { CouchbasePersistence } from './CouchbasePersistence';
+import { CouchbaseCounterOptions } from './CouchbaseCounterOptions';
+
+/**
+ * Generator of human-readable sequential ids like <code>ORD-000042</code>
+ * based on an atomic counter of a Couchbase persistence.
+ *
+ * Generated numbers are unique across all service instances that share the bucket,
+ * but gaps are possible when generated ids are not used.
+ * The sequence is a persistence counter with the <code>sequence:</code> key in the counter namespace,
+ * so it is not removed by [[CouchbasePersistence.clear]].
+ *
+ * ### Example ###
+ *
+ *     class MyCouchbasePersistence extends IdentifiableCouchbasePersistence<MyData, string> {
+ *         private _sequence = new CouchbaseSequenceGenerator(this, "orders", "ORD-", 6);
+ *
+ *         public create(correlationId: string, item: MyData, callback?: (err: any, item: MyData) => void): void {
+ *             this._sequence.next(correlationId, (err, id) => {
+ *                 if (err) {
+ *                     callback(err, null);
+ *                     return;
+ *                 }
+ *                 item = Object.assign({}, item, { id: id });
+ *                 super.create(correlationId, item, callback);
+ *             });
+ *         }
+ *     }
+ *
+ * @see [[CouchbasePersistence.increment]]
+ */
+export class CouchbaseSequenceGenerator {
+    private _persistence: CouchbasePersistence<any>;
+    private _name: string;
+    private _prefix: string;
+    private _padding: number;
+    private _start: number;
+
+    /**
+     * Creates a new instance of the sequence generator.
+     *
+     * @param persistence   a persistence that stores the sequence counter.
+     * @param name          a name of the sequence used in the counter key.
+     * @param prefix        (optional) a prefix of generated ids.
+     * @param padding       (optional) a minimum number of digits padded with zeros (default: 0).
+     * @param start         (optional) the first number of the sequence (default: 1).
+     */
+    public constructor(persistence: CouchbasePersistence<any>, name: string,
+        prefix?: string, padding?: number, start?: number) {
+        if (persistence == null)
+            throw new Error("Persistence could not be null");
+        if (name == null)
+            throw new Error("Sequence name could not be null");
+
+        this._persistence = persistence;
+        this._name = name;
+        this._prefix = prefix || "";
+        this._padding = padding || 0;
+        this._start = start != null ? start : 1;
+    }
+
+    /**
+     * Formats a sequence number into an id.
+     *
+     * @param value     a sequence number.
+     * @returns a formatted id.
+     */
+    public format(value: number): string {
+        let digits = value.toString();
+        while (digits.length < this._padding)
+            digits = "0" + digits;
+        return this._prefix + digits;
+    }
+
+    /**
+     * Generates the next sequence number.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          callback function that receives the next number or error.
+     */
+    public nextValue(correlationId: string, callback: (err: any, value: number) => void): void {
+        let options = new CouchbaseCounterOptions();
+        options.initial = this._start;
+        // Sequences must never expire together with the persistence documents
+        options.expiry = 0;
+
+        this._persistence.increment(correlationId, "sequence:" + this._name, 1, options, callback);
+    }
+
+    /**
+     * Generates the next formatted id.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param callback          callback function that receives the next id or error.
+     */
+    public next(correlationId: string, callback: (err: any, id: string) => void): void {
+        this.nextValue(correlationId, (err, value) => {
+            callback(err, err == null ? this.format(value) : null);
+        });
+    }
+
+    /**
+     * Generates the next formatted id asynchronously.
+     *
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @returns a promise that receives the next id.
+     */
+    public nextAsync(correlationId: string): Promise<string> {
+        return new Promise<string>((resolve, reject) => {
+            this.next(correlationId, (err, id) => {
+                if (err) reject(err);
+                else resolve(id);
+            });
+        });
+    }
+}
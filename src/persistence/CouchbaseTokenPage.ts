@@ -0,0 +1,38 @@
+/** @module persistence */
+
+/**
+ * Page of data items returned by keyset pagination.
+ * Unlike pages with skip and take, it carries a token to request the next page.
+ *
+ * ### Example ###
+ *
+ *     persistence.getPageByToken(correlationId, null, page.token, 100, "create_time", false, (err, page) => {
+ *         console.log(page.data.length);
+ *         if (page.token == null)
+ *             console.log("This is the last page");
+ *     });
+ *
+ * @see [[CouchbasePersistence.getPageByToken]]
+ * @see [[CouchbasePageToken]]
+ */
+export class CouchbaseTokenPage<T> {
+    /**
+     * The data items of the page.
+     */
+    public data: T[];
+    /**
+     * The opaque token to request the next page or null when this page is the last one.
+     */
+    public token: string;
+
+    /**
+     * Creates a new instance of the page.
+     *
+     * @param data      (optional) a list of data items.
+     * @param token     (optional) a token to request the next page.
+     */
+    public constructor(data?: T[], token?: string) {
+        this.data = data || [];
+        this.token = token || null;
+    }
+}
@@ -0,0 +1,21 @@
+/** @module persistence */
+
+/**
+ * Options to override persistence settings for a single write operation.
+ *
+ * ### Example ###
+ *
+ *     let options = new CouchbaseWriteOptions();
+ *     options.expiry = 3600;
+ *
+ *     persistence.set(correlationId, session, options, callback);
+ *
+ * @see [[IdentifiableCouchbasePersistence]]
+ */
+export class CouchbaseWriteOptions {
+    /**
+     * The time in seconds after which the document expires.
+     * 0 means that the document never expires.
+     */
+    public expiry?: number;
+}
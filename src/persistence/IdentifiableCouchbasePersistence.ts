@@ -9,13 +9,22 @@ import { ConfigParams } from 'pip-services3-commons-node';
 import { AnyValueMap } from 'pip-services3-commons-node';
 import { IIdentifiable } from 'pip-services3-commons-node';
 import { IdGenerator } from 'pip-services3-commons-node';
+import { ConflictException } from 'pip-services3-commons-node';
+import { ConfigException } from 'pip-services3-commons-node';
+import { BadRequestException } from 'pip-services3-commons-node';
 
 import { IWriter } from 'pip-services3-data-node';
 import { IGetter } from 'pip-services3-data-node';
 import { ISetter } from 'pip-services3-data-node';
 
 import { CouchbasePersistence } from './CouchbasePersistence';
-import { runInThisContext } from 'vm';
+import { ConcurrencyMode } from './ConcurrencyMode';
+import { CouchbaseWriteOptions } from './CouchbaseWriteOptions';
+import { CouchbaseBulkResult } from './CouchbaseBulkResult';
+import { CouchbaseMutation } from './CouchbaseMutation';
+import { CouchbaseErrorMapper } from './CouchbaseErrorMapper';
+import { CouchbaseExpiry } from './CouchbaseExpiry';
+import { BulkResultStatus } from './BulkResultStatus';
 
 /**
  * Abstract persistence component that stores data in Couchbase
@@ -32,6 +41,7 @@ import { runInThisContext } from 'vm';
  * ### Configuration parameters ###
  * 
  * - bucket:                      (optional) Couchbase bucket name
+ * - scope:                       (optional) Couchbase scope name for native collections (default: scope of the connection or _default)
  * - collection:                  (optional) Couchbase collection name
  * - connection(s):    
  *   - discovery_key:             (optional) a key to retrieve the connection from [[https://pip-services3-node.github.io/pip-services3-components-node/interfaces/connect.idiscovery.html IDiscovery]]
@@ -48,6 +58,22 @@ import { runInThisContext } from 'vm';
  *   - connect_timeout:           (optional) connection timeout in milliseconds (default: 5 sec)
  *   - auto_reconnect:            (optional) enable auto reconnection (default: true)
  *   - max_page_size:             (optional) maximum page size (default: 100)
+ *   - max_cas_retries:           (optional) maximum number of retries of partial updates on CAS conflicts (default: 3)
+ *   - cas_retry_timeout:         (optional) initial timeout in milliseconds between CAS retries, doubled after every retry (default: 50)
+ *   - optimistic_locking:        (optional) optimistic concurrency mode: none, cas or version (default: none)
+ *   - version_field:             (optional) name of the field that keeps the concurrency token (default: version)
+ *   - expiry:                    (optional) default time in seconds after which written documents expire, 0 to never expire (default: 0)
+ *   - preserve_expiry:           (optional) keep expiry of documents replaced without expiry, requires Couchbase Server 7.0 (default: false)
+ *   - bulk_concurrency:          (optional) maximum number of items written in parallel by bulk operations (default: 10)
+ *   - native_collections:        (optional) store documents in native Couchbase 7 collections (default: false)
+ *   - named_params:              (optional) use named instead of positional query parameters (default: false)
+ *   - flush_on_clear:            (optional) flush the entire bucket in [[clear]] instead of deleting the collection documents (default: false)
+ *   - scan_consistency:          (optional) scan consistency of queries: not_bounded, request_plus, statement_plus or at_plus (default: request_plus)
+ *   - retry_attempts:            (optional) maximum number of attempts of reads and idempotent writes, 1 to disable retries (default: 3)
+ *   - retry_timeout:             (optional) initial timeout in milliseconds between attempts, doubled after every attempt (default: 100)
+ *   - retry_max_timeout:         (optional) maximum timeout in milliseconds between attempts (default: 5000)
+ *   - retry_jitter:              (optional) random part of the timeout between attempts from 0 to 1 (default: 0.5)
+ *   - retry_errors:              (optional) comma-separated codes of retriable errors (default: TIMEOUT,TEMPORARY_FAILURE,NOT_MY_VBUCKET)
  *   - debug:                     (optional) enable debug output (default: false).
  * 
  * ### References ###
@@ -108,6 +134,28 @@ import { runInThisContext } from 'vm';
 export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> extends CouchbasePersistence<T>
     implements IWriter<T, K>, IGetter<T, K>, ISetter<T>  {
  
+    /**
+     * The maximum number of retries of partial updates on CAS conflicts.
+     */
+    protected _maxCasRetries: number = 3;
+    /**
+     * The initial timeout in milliseconds between retries on CAS conflicts.
+     * It is doubled after every retry.
+     */
+    protected _casRetryTimeout: number = 50;
+    /**
+     * The optimistic concurrency mode defined in [[ConcurrencyMode]].
+     */
+    protected _optimisticLocking: string = ConcurrencyMode.None;
+    /**
+     * The name of the field that keeps the concurrency token.
+     */
+    protected _versionField: string = "version";
+    /**
+     * The maximum number of items written in parallel by bulk operations.
+     */
+    protected _bulkConcurrency: number = 10;
+
     /**
      * Creates a new instance of the persistence component.
      * 
@@ -134,6 +182,16 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
         super.configure(config);
         
         this._maxPageSize = config.getAsIntegerWithDefault("options.max_page_size", this._maxPageSize);
+        this._maxCasRetries = config.getAsIntegerWithDefault("options.max_cas_retries", this._maxCasRetries);
+        this._casRetryTimeout = config.getAsIntegerWithDefault("options.cas_retry_timeout", this._casRetryTimeout);
+        this._optimisticLocking = config.getAsStringWithDefault("options.optimistic_locking", this._optimisticLocking);
+        this._versionField = config.getAsStringWithDefault("options.version_field", this._versionField);
+        this._bulkConcurrency = Math.max(1, config.getAsIntegerWithDefault("options.bulk_concurrency", this._bulkConcurrency));
+
+        if (!ConcurrencyMode.isValid(this._optimisticLocking)) {
+            throw new ConfigException(null, "BAD_OPTIMISTIC_LOCKING", "Optimistic locking mode " + this._optimisticLocking + " is not supported")
+                .withDetails("optimistic_locking", this._optimisticLocking);
+        }
         this._collectionName = config.getAsStringWithDefault("collection", this._collectionName);
     }
 
@@ -147,7 +205,7 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
         if (value && value.toJSON)
             value = value.toJSON();
 
-        if (value)
+        if (value && !this._nativeCollections)
             delete value._c
 
         return value;
@@ -162,7 +220,8 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
     protected convertFromPublic(value: any): any {
         if (value) {
             value = _.clone(value);
-            value._c = this._collectionName;
+            if (!this._nativeCollections)
+                value._c = this._collectionName;
         }
         return value;
     }    
@@ -176,8 +235,143 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
     protected convertFromPublicPartial(value: any): any {
         return this.convertFromPublic(value);
     }    
+
+    /**
+     * Converts a value written or read by a key-value operation into public format.
+     * In cas locking mode the CAS of the operation result is set into the version field.
+     * 
+     * @param value     an object in internal format to convert.
+     * @param result    a result of the key-value operation.
+     * @returns converted object in public format.
+     */
+    private convertResultToPublic(value: any, result: any): any {
+        let item = this.convertToPublic(value);
+        if (item != null && result != null && result.cas != null && this._optimisticLocking == ConcurrencyMode.Cas)
+            item[this._versionField] = result.cas.toString();
+        return item;
+    }
+
+    /**
+     * Takes a concurrency token from the object in internal format.
+     * CAS values are removed from the object, so they are not stored in documents.
+     * 
+     * @param value     an object in internal format.
+     * @returns the concurrency token or null if it is not set or locking is turned off.
+     */
+    private extractVersion(value: any): any {
+        if (value == null || this._optimisticLocking == ConcurrencyMode.None)
+            return null;
+
+        let version = value[this._versionField];
+        if (this._optimisticLocking == ConcurrencyMode.Cas)
+            delete value[this._versionField];
+        return version;
+    }
+
+    private createConflict(correlationId: string, id: any, cause?: any): ConflictException {
+        let err = new ConflictException(correlationId, "VERSION_CONFLICT",
+            "Item with id " + id + " was changed by another writer")
+            .withDetails("id", id);
+        if (cause) err.withCause(cause);
+        return err;
+    }
+
+    /**
+     * Writes an object in version locking mode.
+     * The stored version is checked against the version of the object and incremented.
+     * The document is replaced with CAS to detect writes made in between.
+     */
+    private writeVersioned(correlationId: string, id: string, objectId: string, newItem: any,
+        upsert: boolean, options: CouchbaseWriteOptions, callback: (err: any, item: T) => void): void {
+        let version = newItem[this._versionField];
+
+        this.retry(correlationId, "get", (callback) => { this._collection.get(objectId, callback); }, (err, result) => {
+            let exists = !this.isDocumentNotFound(err);
+            if (exists && err) {
+                if (callback) callback(CouchbaseErrorMapper.map(correlationId, err), null);
+                return;
+            }
+
+            let storedVersion = exists && result.content != null ? result.content[this._versionField] : null;
+            if (version != null && (!exists || String(version) != String(storedVersion))) {
+                if (callback) callback(this.createConflict(correlationId, id), null);
+                return;
+            }
+
+            if (!exists && !upsert) {
+                if (callback) callback(CouchbaseErrorMapper.map(correlationId, err), null);
+                return;
+            }
+
+            newItem[this._versionField] = (Number(storedVersion) || 0) + 1;
+
+            let writeOptions = this.composeWriteOptions(options, exists);
+            let write = (callback) => {
+                if (exists) this._collection.replace(objectId, newItem, _.assign(writeOptions, { cas: result.cas }), callback);
+                else this._collection.insert(objectId, newItem, writeOptions, callback);
+            };
+
+            write((err, result) => {
+                if (this.isCasMismatch(err) || this.isDocumentExists(err) || this.isDocumentNotFound(err))
+                    err = this.createConflict(correlationId, id, err);
+                err = CouchbaseErrorMapper.map(correlationId, err);
+
+                if (!err)
+                    this._logger.trace(correlationId, (upsert ? "Set" : "Updated") + " in %s with id = %s", this._bucketName, id);
+                this.trackMutation(result);
+
+                if (callback) {
+                    let item = err == null ? this.convertToPublic(newItem) : null;
+                    callback(err, item);
+                }
+            });
+        });
+    }
     
 
+    private runBulk(correlationId: string, operation: string, values: any[], getId: (value: any) => K,
+        action: (value: any, callback: (err: any, item: T) => void) => void,
+        callback: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void {
+
+        async.mapLimit(values || [], this._bulkConcurrency, (value, callback) => {
+            // Null values are rejected, otherwise writes would skip them and report them as not found
+            if (value == null) {
+                let result = new CouchbaseBulkResult<T, K>();
+                result.id = null;
+                result.status = BulkResultStatus.Failed;
+                result.error = new BadRequestException(correlationId, "NO_BULK_ITEM", "Item cannot be null")
+                    .withDetails("operation", operation);
+                callback(null, result);
+                return;
+            }
+
+            action(value, (err, item) => {
+                let result = new CouchbaseBulkResult<T, K>();
+                result.id = item != null ? item.id : getId(value);
+
+                if (this.isDocumentNotFound(err) || (err == null && item == null)) {
+                    result.status = BulkResultStatus.NotFound;
+                } else if (err) {
+                    result.status = BulkResultStatus.Failed;
+                    result.error = err;
+                } else {
+                    result.status = BulkResultStatus.Succeeded;
+                    result.item = item;
+                }
+
+                // Errors are returned per item and do not stop the batch
+                callback(null, result);
+            });
+        }, (err, results) => {
+            let counts = _.countBy(results, (result) => result.status);
+            this._logger.trace(correlationId, "%s %d items in %s, %d not found, %d failed",
+                operation, counts[BulkResultStatus.Succeeded] || 0, this._bucketName,
+                counts[BulkResultStatus.NotFound] || 0, counts[BulkResultStatus.Failed] || 0);
+
+            if (callback) callback(err, results);
+        });
+    }
+
     /**
      * Generates a list of unique ids for specific collection in the bucket
      * @param value a public unique ids.
@@ -201,37 +395,47 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
 
         let objectIds = this.generateBucketIds(ids);
 
-        this._bucket.getMulti(objectIds, (count, items) => {
-            // Convert to array of results
-            items = _.values(items);
-
-            // Define the error
-            let err = null;
-            if (count > 0 && count == objectIds.length) {
-                err = items[0].error;
-
+        async.map(objectIds, (objectId, callback) => {
+            this.retry(correlationId, "get", (callback) => { this._collection.get(objectId, callback); }, (err, result) => {
                 // Ignore "Key does not exist on the server" error
-                if (err && err.message && err.code == 13)
+                if (this.isDocumentNotFound(err))
                     err = null;
-            }
 
+                callback(CouchbaseErrorMapper.map(correlationId, err), result && result.content != null ? result : null);
+            });
+        }, (err, results) => {
             if (err) {
                 callback(err, null);
                 return;
             }
 
-            items = _.map(items, item => item.value);
-            items = _.filter(items, (item) => item != null);
+            results = _.filter(results, (result) => result != null);
 
-            if (items != null)
-                this._logger.trace(correlationId, "Retrieved %d from %s", items.length, this._bucketName);
+            if (results != null)
+                this._logger.trace(correlationId, "Retrieved %d from %s", results.length, this._bucketName);
 
-            items = _.map(items, this.convertToPublic);
+            let items = _.map(results, result => this.convertResultToPublic(result.content, result));
 
             callback(null, items);
         });
     }
 
+    /**
+     * Gets a list of data items retrieved by given unique ids asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be retrieved
+     * @returns a promise that receives a data list.
+     */
+    public getListByIdsAsync(correlationId: string, ids: K[]): Promise<T[]> {
+        return new Promise<T[]>((resolve, reject) => {
+            this.getListByIds(correlationId, ids, (err, items) => {
+                if (err) reject(err);
+                else resolve(items);
+            });
+        });
+    }
+
     /**
      * Gets a data item by its unique id.
      * 
@@ -241,28 +445,56 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
      */
     public getOneById(correlationId: string, id: K, callback: (err: any, item: T) => void): void {
         let objectId = this.generateBucketId(id);
-        this._bucket.get(objectId, (err, result) => {
+        this.retry(correlationId, "get", (callback) => { this._collection.get(objectId, callback); }, (err, result) => {
             // Ignore "Key does not exist on the server" error
-            if (err && err.message && err.code == 13)
+            if (this.isDocumentNotFound(err))
                 err = null;
+            err = CouchbaseErrorMapper.map(correlationId, err);
 
             if (!err)
                 this._logger.trace(correlationId, "Retrieved from %s by id = %s", this._bucketName, objectId);
 
-            let item = result ? this.convertToPublic(result.value) : null;
+            let item = result ? this.convertResultToPublic(result.content, result) : null;
             callback(err, item);
         });
     }
 
-   
+
+    /**
+     * Gets a data item by its unique id asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be retrieved.
+     * @returns a promise that receives the data item or null.
+     */
+    public getOneByIdAsync(correlationId: string, id: K): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.getOneById(correlationId, id, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
+
     /**
      * Creates a data item.
      * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param item              an item to be created.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
      * @param callback          (optional) callback function that receives created item or error.
      */
-    public create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
+    public create(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    public create(correlationId: string, item: T, options: CouchbaseWriteOptions,
+        callback?: (err: any, item: T) => void): void;
+    public create(correlationId: string, item: T, options?: any,
+        callback?: (err: any, item: T) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
         if (item == null) {
             callback(null, null);
             return;
@@ -271,18 +503,51 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
         // Assign unique id
         let newItem: any = _.clone(item);
         newItem.id = item.id || IdGenerator.nextLong();
-        super.create(correlationId, newItem, callback);
+        let id = newItem.id.toString();
+        let objectId = this.generateBucketId(id);
+        newItem = this.convertFromPublic(newItem);
+
+        this.extractVersion(newItem);
+        if (this._optimisticLocking == ConcurrencyMode.Version)
+            newItem[this._versionField] = 1;
+
+        this._collection.insert(objectId, newItem, this.composeWriteOptions(options), (err, result) => {
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
+            if (!err)
+                this._logger.trace(correlationId, "Created in %s with id = %s", this._bucketName, id);
+            this.trackMutation(result);
+
+            if (callback) {
+                newItem = err == null ? this.convertResultToPublic(newItem, result) : null;
+                callback(err, newItem);
+            }
+        });
     }
 
     /**
      * Sets a data item. If the data item exists it updates it,
      * otherwise it create a new data item.
      * 
+     * When no expiry is set in options or configuration, an existing item becomes persistent.
+     * With <code>options.preserve_expiry</code> turned on it keeps its expiry.
+     * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param item              a item to be set.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
      * @param callback          (optional) callback function that receives updated item or error.
      */
-    public set(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
+    public set(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    public set(correlationId: string, item: T, options: CouchbaseWriteOptions,
+        callback?: (err: any, item: T) => void): void;
+    public set(correlationId: string, item: T, options?: any,
+        callback?: (err: any, item: T) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
         if (item == null) {
             if (callback) callback(null, null);
             return;
@@ -295,25 +560,75 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
         let objectId = this.generateBucketId(id);
         newItem = this.convertFromPublic(newItem);
 
-        this._bucket.upsert(objectId, newItem, (err, result) => {
+        if (this._optimisticLocking == ConcurrencyMode.Version) {
+            this.writeVersioned(correlationId, id, objectId, newItem, true, options, callback);
+            return;
+        }
+
+        // Items with CAS can only replace the same document
+        let version = this.extractVersion(newItem);
+        let writeOptions = this.composeWriteOptions(options, true);
+        let write = (callback) => {
+            if (version != null) this._collection.replace(objectId, newItem, _.assign(writeOptions, { cas: version }), callback);
+            // Upsert is idempotent, so it is safe to retry
+            else this.retry(correlationId, "set", (callback) => { this._collection.upsert(objectId, newItem, writeOptions, callback); }, callback);
+        };
+
+        write((err, result) => {
+            if (version != null && (this.isCasMismatch(err) || this.isDocumentNotFound(err)))
+                err = this.createConflict(correlationId, id, err);
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
             if (!err)
                 this._logger.trace(correlationId, "Set in %s with id = %s", this._bucketName, id);
+            this.trackMutation(result);
            
             if (callback) {
-                newItem = err == null ? this.convertToPublic(newItem) : null;
+                newItem = err == null ? this.convertResultToPublic(newItem, result) : null;
                 callback(err, newItem);
             }
         });
     }
 
+    /**
+     * Sets a data item asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              a item to be set.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives the set item.
+     */
+    public setAsync(correlationId: string, item: T, options?: CouchbaseWriteOptions): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.set(correlationId, item, options, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
+
     /**
      * Updates a data item.
      * 
+     * When no expiry is set in options or configuration, the item becomes persistent.
+     * With <code>options.preserve_expiry</code> turned on it keeps its expiry.
+     * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param item              an item to be updated.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
      * @param callback          (optional) callback function that receives updated item or error.
      */
-    public update(correlationId: string, item: T, callback?: (err: any, item: T) => void): void {
+    public update(correlationId: string, item: T, callback?: (err: any, item: T) => void): void;
+    public update(correlationId: string, item: T, options: CouchbaseWriteOptions,
+        callback?: (err: any, item: T) => void): void;
+    public update(correlationId: string, item: T, options?: any,
+        callback?: (err: any, item: T) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
         if (item == null || item.id == null) {
             if (callback) callback(null, null);
             return;
@@ -324,28 +639,78 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
         let id = newItem.id.toString();
         let objectId = this.generateBucketId(id);
 
-        this._bucket.replace(objectId, newItem, (err, result) => {
+        if (this._optimisticLocking == ConcurrencyMode.Version) {
+            this.writeVersioned(correlationId, id, objectId, newItem, false, options, callback);
+            return;
+        }
+
+        let version = this.extractVersion(newItem);
+        let writeOptions = this.composeWriteOptions(options, true);
+        if (version != null) writeOptions.cas = version;
+
+        let replace = (callback) => { this._collection.replace(objectId, newItem, writeOptions, callback); };
+        // Replace with CAS fails with a conflict when it is retried after an ambiguous success
+        let write = version == null
+            ? (callback) => { this.retry(correlationId, "update", replace, callback); }
+            : replace;
+
+        write((err, result) => {
+            if (version != null && (this.isCasMismatch(err) || this.isDocumentNotFound(err)))
+                err = this.createConflict(correlationId, id, err);
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
             if (!err)
                 this._logger.trace(correlationId, "Updated in %s with id = %s", this._bucketName, id);
+            this.trackMutation(result);
 
             if (callback) {
-                newItem = err == null ? this.convertToPublic(newItem) : null;
+                newItem = err == null ? this.convertResultToPublic(newItem, result) : null;
                 callback(err, newItem);
             }
         });
     }
 
+    /**
+     * Updates a data item asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param item              an item to be updated.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives the updated item.
+     */
+    public updateAsync(correlationId: string, item: T, options?: CouchbaseWriteOptions): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.update(correlationId, item, options, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
+
     /**
      * Updates only few selected fields in a data item.
      * 
+     * When no expiry is set in options or configuration, the item becomes persistent.
+     * With <code>options.preserve_expiry</code> turned on it keeps its expiry.
+     * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param id                an id of data item to be updated.
      * @param data              a map with fields to be updated.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
      * @param callback          callback function that receives updated item or error.
      */
     public updatePartially(correlationId: string, id: K, data: AnyValueMap,
-        callback?: (err: any, item: T) => void): void {
-            
+        callback?: (err: any, item: T) => void): void;
+    public updatePartially(correlationId: string, id: K, data: AnyValueMap,
+        options: CouchbaseWriteOptions, callback?: (err: any, item: T) => void): void;
+    public updatePartially(correlationId: string, id: K, data: AnyValueMap,
+        options?: any, callback?: (err: any, item: T) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
         if (data == null || id == null) {
             if (callback) callback(null, null);
             return;
@@ -355,23 +720,262 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
         newItem = this.convertFromPublicPartial(newItem);
         let objectId = this.generateBucketId(id);
 
-        // Todo: repeat until update is successful
-        this._bucket.get(objectId, (err, result) => {
-            if (err || result == null || result.value == null) {
-                callback(err, null);
+        // Concurrency tokens are managed by the persistence
+        if (this._optimisticLocking != ConcurrencyMode.None)
+            delete newItem[this._versionField];
+
+        // Repeat get and replace until the document is not changed in between
+        let attempt = (retry: number) => {
+            this.retry(correlationId, "get", (callback) => { this._collection.get(objectId, callback); }, (err, result) => {
+                // Ignore "Key does not exist on the server" error
+                if (this.isDocumentNotFound(err))
+                    err = null;
+
+                if (err || result == null || result.content == null) {
+                    if (callback) callback(CouchbaseErrorMapper.map(correlationId, err), null);
+                    return;
+                }
+
+                let objectValue = _.assign(result.content, newItem);
+                if (this._optimisticLocking == ConcurrencyMode.Version)
+                    objectValue[this._versionField] = (Number(objectValue[this._versionField]) || 0) + 1;
+
+                let writeOptions = _.assign(this.composeWriteOptions(options, true), { cas: result.cas });
+
+                this._collection.replace(objectId, objectValue, writeOptions, (err, result) => {
+                    if (this.isCasMismatch(err)) {
+                        if (retry < this._maxCasRetries) {
+                            let timeout = this._casRetryTimeout * Math.pow(2, retry);
+                            this._logger.trace(correlationId, "CAS conflict in %s with id = %s, retrying in %d ms",
+                                this._bucketName, id, timeout);
+                            setTimeout(() => { attempt(retry + 1); }, timeout);
+                            return;
+                        }
+
+                        err = new ConflictException(correlationId, "CAS_CONFLICT",
+                            "Item with id " + id + " was concurrently modified " + (retry + 1) + " times in a row")
+                            .withDetails("id", id)
+                            .withCause(err);
+                    }
+                    err = CouchbaseErrorMapper.map(correlationId, err);
+
+                    if (!err)
+                        this._logger.trace(correlationId, "Updated partially in %s with id = %s", this._bucketName, id);
+                    this.trackMutation(result);
+
+                    if (callback) {
+                        let item = err == null ? this.convertResultToPublic(objectValue, result) : null;
+                        callback(err, item);
+                    }
+                });
+            });
+        };
+
+        attempt(0);
+    }
+
+    /**
+     * Updates only few selected fields in a data item asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be updated.
+     * @param data              a map with fields to be updated.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives the updated item.
+     */
+    public updatePartiallyAsync(correlationId: string, id: K, data: AnyValueMap,
+        options?: CouchbaseWriteOptions): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.updatePartially(correlationId, id, data, options, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
+
+    /**
+     * Applies sub-document operations to a data item in a single round trip.
+     * Unlike [[updatePartially]] it changes only the given paths and keeps nested objects.
+     * In version locking mode the version is incremented in the same operation.
+     * 
+     * A single call is limited to 16 operations by Couchbase.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be changed.
+     * @param mutation          a [[CouchbaseMutation]] with operations to apply.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @param callback          (optional) callback function that receives values returned by operations
+     *                          like new counter values, or null if the item does not exist.
+     */
+    public mutateIn(correlationId: string, id: K, mutation: CouchbaseMutation,
+        callback?: (err: any, values: any[]) => void): void;
+    public mutateIn(correlationId: string, id: K, mutation: CouchbaseMutation,
+        options: CouchbaseWriteOptions, callback?: (err: any, values: any[]) => void): void;
+    public mutateIn(correlationId: string, id: K, mutation: CouchbaseMutation,
+        options?: any, callback?: (err: any, values: any[]) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        if (id == null || mutation == null || mutation.isEmpty()) {
+            if (callback) callback(null, null);
+            return;
+        }
+
+        let couchbase = require('couchbase');
+        let objectId = this.generateBucketId(id);
+        let count = mutation.getOperations().length;
+
+        let specs = mutation.toSpecs();
+        if (this._optimisticLocking == ConcurrencyMode.Version)
+            specs.push(couchbase.MutateInSpec.increment(this._versionField, 1, { createPath: true }));
+
+        this._collection.mutateIn(objectId, specs, this.composeWriteOptions(options, true), (err, result) => {
+            // Ignore "Key does not exist on the server" error
+            if (this.isDocumentNotFound(err)) {
+                if (callback) callback(null, null);
                 return;
             }
+            err = CouchbaseErrorMapper.map(correlationId, err);
 
-            let objectValue = _.assign(result.value, newItem);
+            if (!err)
+                this._logger.trace(correlationId, "Mutated %d paths in %s with id = %s", count, this._bucketName, id);
+            this.trackMutation(result);
 
-            this._bucket.replace(objectId, objectValue, { cas: result.cas }, (err, result) => {
-                if (!err)
-                    this._logger.trace(correlationId, "Updated partially in %s with id = %s", this._bucketName, id);
+            if (callback) {
+                let values = err == null
+                    ? _.map(_.take(result.content, count), (entry) => entry != null ? entry.value : null)
+                    : null;
+                callback(err, values);
+            }
+        });
+    }
 
-                if (callback) {
-                    newItem = err == null ? this.convertToPublic(objectValue) : null;
-                    callback(err, newItem);
-                }
+    /**
+     * Applies sub-document operations to a data item asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be changed.
+     * @param mutation          a [[CouchbaseMutation]] with operations to apply.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives values returned by operations or null if the item does not exist.
+     */
+    public mutateInAsync(correlationId: string, id: K, mutation: CouchbaseMutation,
+        options?: CouchbaseWriteOptions): Promise<any[]> {
+        return new Promise<any[]>((resolve, reject) => {
+            this.mutateIn(correlationId, id, mutation, options, (err, values) => {
+                if (err) reject(err);
+                else resolve(values);
+            });
+        });
+    }
+
+    /**
+     * Gets selected fields of a data item without reading the whole document.
+     * Missing paths are omitted from the result.
+     * 
+     * A single call is limited to 16 paths by Couchbase.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be retrieved.
+     * @param paths             dotted paths of fields to retrieve.
+     * @param callback          callback function that receives an object with the id and selected fields
+     *                          or null if the item does not exist.
+     */
+    public lookupIn(correlationId: string, id: K, paths: string[],
+        callback: (err: any, item: any) => void): void {
+
+        if (id == null || paths == null || paths.length == 0) {
+            callback(null, null);
+            return;
+        }
+
+        let couchbase = require('couchbase');
+        let objectId = this.generateBucketId(id);
+        let specs = _.map(paths, (path) => couchbase.LookupInSpec.get(path));
+
+        this.retry(correlationId, "lookupIn", (callback) => { this._collection.lookupIn(objectId, specs, callback); }, (err, result) => {
+            // Ignore "Key does not exist on the server" error
+            if (this.isDocumentNotFound(err))
+                err = null;
+
+            if (err || result == null) {
+                callback(CouchbaseErrorMapper.map(correlationId, err), null);
+                return;
+            }
+
+            let item: any = { id: id };
+            _.each(paths, (path, index) => {
+                let entry = result.content[index];
+                if (entry != null && entry.error == null && entry.value !== undefined)
+                    _.set(item, path, entry.value);
+            });
+
+            this._logger.trace(correlationId, "Retrieved %d paths from %s with id = %s", paths.length, this._bucketName, id);
+
+            callback(null, this.convertResultToPublic(item, result));
+        });
+    }
+
+    /**
+     * Gets selected fields of a data item asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be retrieved.
+     * @param paths             dotted paths of fields to retrieve.
+     * @returns a promise that receives an object with the id and selected fields or null if the item does not exist.
+     */
+    public lookupInAsync(correlationId: string, id: K, paths: string[]): Promise<any> {
+        return new Promise<any>((resolve, reject) => {
+            this.lookupIn(correlationId, id, paths, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
+
+    /**
+     * Extends expiry of a data item.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be touched.
+     * @param expiry            a new time in seconds after which the item expires, 0 to never expire.
+     * @param callback          (optional) callback function that receives touched item or error.
+     */
+    public touch(correlationId: string, id: K, expiry: number, callback?: (err: any, item: T) => void): void {
+        let objectId = this.generateBucketId(id);
+
+        this.retry(correlationId, "touch", (callback) => { this._collection.getAndTouch(objectId, CouchbaseExpiry.toServerExpiry(expiry), callback); }, (err, result) => {
+            // Ignore "Key does not exist on the server" error
+            if (this.isDocumentNotFound(err))
+                err = null;
+            err = CouchbaseErrorMapper.map(correlationId, err);
+
+            if (!err && result != null)
+                this._logger.trace(correlationId, "Touched in %s with id = %s for %d sec", this._bucketName, id, expiry);
+
+            if (callback) {
+                let item = err == null && result != null ? this.convertResultToPublic(result.content, result) : null;
+                callback(err, item);
+            }
+        });
+    }
+
+    /**
+     * Extends expiry of a data item asynchronously.
+     * 
+     * @param correlation_id    (optional) transaction id to trace execution through call chain.
+     * @param id                an id of data item to be touched.
+     * @param expiry            a new time in seconds after which the item expires, 0 to never expire.
+     * @returns a promise that receives the touched item or null if it does not exist.
+     */
+    public touchAsync(correlationId: string, id: K, expiry: number): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.touch(correlationId, id, expiry, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
             });
         });
     }
@@ -381,25 +985,55 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
      * 
      * @param correlation_id    (optional) transaction id to trace execution through call chain.
      * @param id                an id of the item to be deleted
+     * @param version           (optional) a concurrency token of the item to check in optimistic locking modes
      * @param callback          (optional) callback function that receives deleted item or error.
      */
-    public deleteById(correlationId: string, id: K, callback?: (err: any, item: T) => void): void {
+    public deleteById(correlationId: string, id: K, callback?: (err: any, item: T) => void): void;
+    public deleteById(correlationId: string, id: K, version: any, callback?: (err: any, item: T) => void): void;
+    public deleteById(correlationId: string, id: K, version?: any, callback?: (err: any, item: T) => void): void {
+        if (typeof version === "function") {
+            callback = version;
+            version = null;
+        }
+
         let objectId = this.generateBucketId(id);
-        this._bucket.get(objectId, (err, result) => {
-            if (err || result == null || result.value == null) {
-                callback(err, null);
+        this.retry(correlationId, "get", (callback) => { this._collection.get(objectId, callback); }, (err, result) => {
+            // Ignore "Key does not exist on the server" error
+            if (this.isDocumentNotFound(err))
+                err = null;
+
+            if (err || result == null || result.content == null) {
+                if (callback) callback(CouchbaseErrorMapper.map(correlationId, err), null);
                 return;
             }
 
-            let oldItem = this.convertToPublic(result.value);
+            let oldItem = this.convertResultToPublic(result.content, result);
 
-            this._bucket.remove(objectId, (err, result) => {
+            let locking = this._optimisticLocking != ConcurrencyMode.None;
+            if (locking && version != null && String(version) != String(oldItem[this._versionField])) {
+                if (callback) callback(this.createConflict(correlationId, id), null);
+                return;
+            }
+
+            let options = locking ? { cas: result.cas } : {};
+            let remove = (callback) => { this._collection.remove(objectId, options, callback); };
+            // Documents removed by an ambiguous attempt are not found on retry, that is ignored below
+            let write = !locking
+                ? (callback) => { this.retry(correlationId, "delete", remove, callback); }
+                : remove;
+
+            write((err, result) => {
                 // Ignore "Key does not exist on the server" error
-                if (err && err.message && err.code == 13)
+                if (this.isDocumentNotFound(err))
                     err = null;
 
+                if (this.isCasMismatch(err))
+                    err = this.createConflict(correlationId, id, err);
+                err = CouchbaseErrorMapper.map(correlationId, err);
+
                 if (!err)
                     this._logger.trace(correlationId, "Deleted from %s with id = %s", this._bucketName, id);
+                this.trackMutation(result);
 
                 if (callback) {
                     oldItem = err == null ? oldItem : null;
@@ -411,30 +1045,182 @@ export class IdentifiableCouchbasePersistence<T extends IIdentifiable<K>, K> ext
 
 
     /**
-     * Deletes multiple data items by their unique ids.
+     * Deletes a data item by it's unique id asynchronously.
      * 
      * @param correlationId     (optional) transaction id to trace execution through call chain.
-     * @param ids               ids of data items to be deleted.
-     * @param callback          (optional) callback function that receives error or null for success.
+     * @param id                an id of the item to be deleted
+     * @param version           (optional) a concurrency token of the item to check in optimistic locking modes
+     * @returns a promise that receives the deleted item.
      */
-    public deleteByIds(correlationId: string, ids: K[], callback?: (err: any) => void): void {
-        let count = 0;
-        async.each(ids, (id, callback) => {
-            let objectId = this.generateBucketId(id);
+    public deleteByIdAsync(correlationId: string, id: K, version?: any): Promise<T> {
+        return new Promise<T>((resolve, reject) => {
+            this.deleteById(correlationId, id, version, (err, item) => {
+                if (err) reject(err);
+                else resolve(item);
+            });
+        });
+    }
 
-            this._bucket.remove(objectId, (err) => {
-                // Ignore "Key does not exist on the server" error
-                if (err && err.message && err.code == 13)
-                    err = null;
+    /**
+     * Creates multiple data items in parallel batches.
+     * Errors of individual items are returned in their results and do not stop the batch.
+     * Null items fail with BadRequestException instead of being skipped.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be created.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @param callback          (optional) callback function that receives [[CouchbaseBulkResult]] for each item.
+     */
+    public createMany(correlationId: string, items: T[],
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void;
+    public createMany(correlationId: string, items: T[], options: CouchbaseWriteOptions,
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void;
+    public createMany(correlationId: string, items: T[], options?: any,
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        this.runBulk(correlationId, "Created", items, (item) => item != null ? item.id : null,
+            (item, callback) => this.create(correlationId, item, options, callback), callback);
+    }
+
+    /**
+     * Creates multiple data items in parallel batches asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be created.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives [[CouchbaseBulkResult]] for each item.
+     */
+    public createManyAsync(correlationId: string, items: T[],
+        options?: CouchbaseWriteOptions): Promise<CouchbaseBulkResult<T, K>[]> {
+        return new Promise<CouchbaseBulkResult<T, K>[]>((resolve, reject) => {
+            this.createMany(correlationId, items, options, (err, results) => {
+                if (err) reject(err);
+                else resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Sets multiple data items in parallel batches.
+     * Errors of individual items are returned in their results and do not stop the batch.
+     * Null items fail with BadRequestException instead of being skipped.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be set.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @param callback          (optional) callback function that receives [[CouchbaseBulkResult]] for each item.
+     */
+    public setMany(correlationId: string, items: T[],
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void;
+    public setMany(correlationId: string, items: T[], options: CouchbaseWriteOptions,
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void;
+    public setMany(correlationId: string, items: T[], options?: any,
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        this.runBulk(correlationId, "Set", items, (item) => item != null ? item.id : null,
+            (item, callback) => this.set(correlationId, item, options, callback), callback);
+    }
+
+    /**
+     * Sets multiple data items in parallel batches asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be set.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives [[CouchbaseBulkResult]] for each item.
+     */
+    public setManyAsync(correlationId: string, items: T[],
+        options?: CouchbaseWriteOptions): Promise<CouchbaseBulkResult<T, K>[]> {
+        return new Promise<CouchbaseBulkResult<T, K>[]>((resolve, reject) => {
+            this.setMany(correlationId, items, options, (err, results) => {
+                if (err) reject(err);
+                else resolve(results);
+            });
+        });
+    }
+
+    /**
+     * Updates multiple data items in parallel batches.
+     * Errors of individual items are returned in their results and do not stop the batch.
+     * Null items fail with BadRequestException instead of being skipped.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be updated.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @param callback          (optional) callback function that receives [[CouchbaseBulkResult]] for each item.
+     */
+    public updateMany(correlationId: string, items: T[],
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void;
+    public updateMany(correlationId: string, items: T[], options: CouchbaseWriteOptions,
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void;
+    public updateMany(correlationId: string, items: T[], options?: any,
+        callback?: (err: any, results: CouchbaseBulkResult<T, K>[]) => void): void {
+
+        if (typeof options === "function") {
+            callback = options;
+            options = null;
+        }
+
+        this.runBulk(correlationId, "Updated", items, (item) => item != null ? item.id : null,
+            (item, callback) => this.update(correlationId, item, options, callback), callback);
+    }
 
-                if (err == null)
-                    count++;
+    /**
+     * Updates multiple data items in parallel batches asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param items             items to be updated.
+     * @param options           (optional) [[CouchbaseWriteOptions]] to override the configured settings
+     * @returns a promise that receives [[CouchbaseBulkResult]] for each item.
+     */
+    public updateManyAsync(correlationId: string, items: T[],
+        options?: CouchbaseWriteOptions): Promise<CouchbaseBulkResult<T, K>[]> {
+        return new Promise<CouchbaseBulkResult<T, K>[]>((resolve, reject) => {
+            this.updateMany(correlationId, items, options, (err, results) => {
+                if (err) reject(err);
+                else resolve(results);
+            });
+        });
+    }
 
-                callback(err);
+    /**
+     * Deletes multiple data items by their unique ids in parallel batches.
+     * Errors of individual items are returned in their results and do not stop the batch.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be deleted.
+     * @param callback          (optional) callback function that receives [[CouchbaseBulkResult]] for each id.
+     */
+    public deleteByIds(correlationId: string, ids: K[],
+        callback?: (err: any, results?: CouchbaseBulkResult<T, K>[]) => void): void {
+
+        this.runBulk(correlationId, "Deleted", ids, (id) => id,
+            (id, callback) => this.deleteById(correlationId, id, callback), callback);
+    }
+
+    /**
+     * Deletes multiple data items by their unique ids in parallel batches asynchronously.
+     * 
+     * @param correlationId     (optional) transaction id to trace execution through call chain.
+     * @param ids               ids of data items to be deleted.
+     * @returns a promise that receives [[CouchbaseBulkResult]] for each id.
+     */
+    public deleteByIdsAsync(correlationId: string, ids: K[]): Promise<CouchbaseBulkResult<T, K>[]> {
+        return new Promise<CouchbaseBulkResult<T, K>[]>((resolve, reject) => {
+            this.deleteByIds(correlationId, ids, (err, results) => {
+                if (err) reject(err);
+                else resolve(results);
             });
-        }, (err) => {
-            this._logger.trace(correlationId, "Deleted %d items from %s", count, this._bucketName);
-            if (callback) callback(err);
         });
     }
 }
@@ -0,0 +1,44 @@
+/** @module persistence */
+
+/**
+ * Scan consistency levels of N1QL queries.
+ * 
+ * The values are used in <code>options.scan_consistency</code> configuration parameter
+ * and in [[CouchbaseQueryOptions]] to override consistency of a single query.
+ * 
+ * @see [[CouchbasePersistence]]
+ */
+export class ScanConsistency {
+    /**
+     * Returns data that is currently indexed without waiting for pending mutations.
+     * It is the fastest level recommended for read-heavy scenarios.
+     */
+    public static readonly NotBounded: string = "not_bounded";
+    /**
+     * Waits until all mutations made before the request are indexed.
+     */
+    public static readonly RequestPlus: string = "request_plus";
+    /**
+     * Waits until all mutations made before each statement are indexed.
+     */
+    public static readonly StatementPlus: string = "statement_plus";
+    /**
+     * Waits until mutations identified by mutation tokens are indexed.
+     * It provides read-your-own-writes consistency at lower cost than request_plus.
+     * Without captured tokens queries fall back to request_plus.
+     */
+    public static readonly AtPlus: string = "at_plus";
+
+    /**
+     * Checks if the value is a valid scan consistency level.
+     * 
+     * @param value     a value to check.
+     * @returns true if the value is a known consistency level and false otherwise.
+     */
+    public static isValid(value: string): boolean {
+        return value == ScanConsistency.NotBounded
+            || value == ScanConsistency.RequestPlus
+            || value == ScanConsistency.StatementPlus
+            || value == ScanConsistency.AtPlus;
+    }
+}
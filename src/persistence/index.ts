@@ -2,5 +2,26 @@
  * @module persistence
  * @preferred
  */
+export { CouchbaseConnection } from './CouchbaseConnection';
 export { CouchbasePersistence } from './CouchbasePersistence';
 export { IdentifiableCouchbasePersistence } from './IdentifiableCouchbasePersistence';
+export { CouchbaseFilter } from './CouchbaseFilter';
+export { CouchbaseQueryParams } from './CouchbaseQueryParams';
+export { CouchbaseQueryOptions } from './CouchbaseQueryOptions';
+export { ScanConsistency } from './ScanConsistency';
+export { ConcurrencyMode } from './ConcurrencyMode';
+export { CouchbaseWriteOptions } from './CouchbaseWriteOptions';
+export { CouchbaseIndex } from './CouchbaseIndex';
+export { CouchbaseHealth } from './CouchbaseHealth';
+export { CouchbaseKeyStrategy } from './CouchbaseKeyStrategy';
+export { BulkResultStatus } from './BulkResultStatus';
+export { CouchbaseBulkResult } from './CouchbaseBulkResult';
+export { CouchbaseMutation } from './CouchbaseMutation';
+export { CouchbaseCounterOptions } from './CouchbaseCounterOptions';
+export { CouchbaseSequenceGenerator } from './CouchbaseSequenceGenerator';
+export { CouchbaseErrorMapper } from './CouchbaseErrorMapper';
+export { CouchbaseRetryPolicy } from './CouchbaseRetryPolicy';
+export { CouchbasePageToken } from './CouchbasePageToken';
+export { CouchbaseTokenPage } from './CouchbaseTokenPage';
+export { CouchbaseBucketConnector } from './CouchbaseBucketConnector';
+export { CouchbaseExpiry } from './CouchbaseExpiry';
@@ -0,0 +1,45 @@
+var assert = require('chai').assert;
+
+import { Descriptor } from 'pip-services3-commons-node';
+import { DefaultCouchbaseFactory } from '../../src/build/DefaultCouchbaseFactory';
+import { CouchbaseConnection } from '../../src/persistence/CouchbaseConnection';
+import { CouchbaseLock } from '../../src/lock/CouchbaseLock';
+import { CouchbaseCache } from '../../src/cache/CouchbaseCache';
+
+suite('DefaultCouchbaseFactory', ()=> {
+
+    test('Create Connection', () => {
+        let factory = new DefaultCouchbaseFactory();
+        let descriptor = new Descriptor("pip-services", "connection", "couchbase", "default", "1.0");
+
+        assert.isNotNull(factory.canCreate(descriptor));
+        let component = factory.create(descriptor);
+        assert.instanceOf(component, CouchbaseConnection);
+    });
+
+    test('Create Lock', () => {
+        let factory = new DefaultCouchbaseFactory();
+        let descriptor = new Descriptor("pip-services", "lock", "couchbase", "default", "1.0");
+
+        assert.isNotNull(factory.canCreate(descriptor));
+        let component = factory.create(descriptor);
+        assert.instanceOf(component, CouchbaseLock);
+    });
+
+    test('Create Cache', () => {
+        let factory = new DefaultCouchbaseFactory();
+        let descriptor = new Descriptor("pip-services", "cache", "couchbase", "default", "1.0");
+
+        assert.isNotNull(factory.canCreate(descriptor));
+        let component = factory.create(descriptor);
+        assert.instanceOf(component, CouchbaseCache);
+    });
+
+    test('Unknown Component', () => {
+        let factory = new DefaultCouchbaseFactory();
+        let descriptor = new Descriptor("pip-services", "persistence", "memory", "default", "1.0");
+
+        assert.isNull(factory.canCreate(descriptor));
+    });
+
+});
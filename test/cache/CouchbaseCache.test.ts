@@ -0,0 +1,96 @@
+let process = require('process');
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
+import { CouchbaseCache } from '../../src/cache/CouchbaseCache';
+
+suite('CouchbaseCache', ()=> {
+    let cache: CouchbaseCache;
+
+    let couchbaseUri = process.env['COUCHBASE_URI'];
+    let couchbaseHost = process.env['COUCHBASE_HOST'] || 'localhost';
+    let couchbasePort = process.env['COUCHBASE_PORT'] || 8091;
+    let couchbaseUser = process.env['COUCHBASE_USER'] || 'Administrator';
+    let couchbasePass = process.env['COUCHBASE_PASS'] || 'password';
+    if (couchbaseUri == null && couchbaseHost == null)
+        return;
+
+    setup((done) => {
+        let config = ConfigParams.fromTuples(
+            'bucket', 'test',
+            'options.auto_create', true,
+            'connection.uri', couchbaseUri,
+            'connection.host', couchbaseHost,
+            'connection.port', couchbasePort,
+            'credential.username', couchbaseUser,
+            'credential.password', couchbasePass
+        );
+
+        cache = new CouchbaseCache();
+        cache.configure(config);
+        cache.open(null, done);
+    });
+
+    teardown((done) => {
+        cache.close(null, done);
+    });
+
+    test('Store and Retrieve', (done) => {
+        let key1 = "key" + IdGenerator.nextLong();
+        let key2 = "key" + IdGenerator.nextLong();
+
+        async.series([
+            (callback) => {
+                cache.store(null, key1, "value1", 5000, callback);
+            },
+            (callback) => {
+                cache.store(null, key2, { name: "value2" }, 5000, callback);
+            },
+            (callback) => {
+                cache.retrieve(null, key1, (err, value) => {
+                    assert.isNull(err);
+                    assert.equal("value1", value);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                cache.retrieve(null, key2, (err, value) => {
+                    assert.isNull(err);
+                    assert.deepEqual({ name: "value2" }, value);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                cache.remove(null, key1, callback);
+            },
+            (callback) => {
+                cache.retrieve(null, key1, (err, value) => {
+                    assert.isNull(err);
+                    assert.isNull(value);
+                    callback(err);
+                });
+            }
+        ], done);
+    });
+
+    test('No Bucket', (done) => {
+        let localCache = new CouchbaseCache();
+        localCache.configure(ConfigParams.fromTuples(
+            'connection.uri', couchbaseUri,
+            'connection.host', couchbaseHost,
+            'connection.port', couchbasePort,
+            'credential.username', couchbaseUser,
+            'credential.password', couchbasePass
+        ));
+
+        localCache.open(null, (err) => {
+            assert.isNotNull(err);
+            assert.equal("NO_BUCKET", err.code);
+            assert.isFalse(localCache.isOpen());
+            done();
+        });
+    });
+
+});
@@ -68,4 +68,133 @@ suite('CouchbaseConnectionResolver', ()=> {
         });
     });
 
+    test('Resolve Async', async () => {
+        let config = ConfigParams.fromTuples(
+            "connection.host", "localhost",
+            "connection.port", "8091",
+            "connection.database", "test"
+        );
+
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(config);
+        let connection = await resolver.resolveAsync(null);
+        assert.isNotNull(connection);
+        assert.equal("couchbase://localhost:8091/test", connection.uri);
+    });
+
+    test('Resolve Async Error', async () => {
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(new ConfigParams());
+
+        let error = null;
+        try {
+            await resolver.resolveAsync(null);
+        } catch (err) {
+            error = err;
+        }
+        assert.isNotNull(error);
+    });
+
+    test('Connection with TLS', (done) => {
+        let config = ConfigParams.fromTuples(
+            "connection.host", "localhost",
+            "connection.port", "11207",
+            "connection.database", "test",
+            "connection.tls", true,
+            "connection.ca_cert", "/certs/ca.pem",
+            "connection.client_cert", "/certs/client.pem",
+            "connection.client_key", "/certs/client.key",
+            "connection.network", "external"
+        );
+
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(config);
+        resolver.resolve(null, (err, connection) => {
+            assert.isNotNull(connection);
+            assert.equal("couchbases://localhost:11207/test?network=external", connection.uri);
+            assert.isTrue(connection.tls);
+            assert.equal("/certs/ca.pem", connection.trustStorePath);
+            assert.equal("/certs/client.pem", connection.certificatePath);
+            assert.equal("/certs/client.key", connection.keyPath);
+
+            done(err);
+        });
+    });
+
+    test('Uri with TLS', (done) => {
+        let config = ConfigParams.fromTuples(
+            "connection.uri", "couchbase://localhost/test",
+            "connection.tls", true
+        );
+
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(config);
+        resolver.resolve(null, (err, connection) => {
+            assert.isNotNull(connection);
+            assert.equal("couchbases://localhost/test", connection.uri);
+            assert.isTrue(connection.tls);
+
+            done(err);
+        });
+    });
+
+    test('Credential without Password', (done) => {
+        let config = ConfigParams.fromTuples(
+            "connection.host", "localhost",
+            "connection.port", "8091",
+            "connection.database", "test",
+            "credential.username", "admin"
+        );
+
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(config);
+        resolver.resolve(null, (err, connection) => {
+            assert.isNotNull(err);
+            assert.equal("NO_PASSWORD", err.code);
+
+            done();
+        });
+    });
+
+    test('Connection with Certificate Credential', (done) => {
+        let config = ConfigParams.fromTuples(
+            "connection.host", "localhost",
+            "connection.port", "11207",
+            "connection.database", "test",
+            "connection.tls", true,
+            "credential.certificate_path", "/certs/client.pem",
+            "credential.key_path", "/certs/client.key"
+        );
+
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(config);
+        resolver.resolve(null, (err, connection) => {
+            assert.isNotNull(connection);
+            assert.equal("couchbases://localhost:11207/test", connection.uri);
+            assert.isNull(connection.username);
+            assert.equal("/certs/client.pem", connection.certificatePath);
+            assert.equal("/certs/client.key", connection.keyPath);
+
+            done(err);
+        });
+    });
+
+    test('Certificates without TLS', (done) => {
+        let config = ConfigParams.fromTuples(
+            "connection.host", "localhost",
+            "connection.port", "8091",
+            "connection.database", "test",
+            "connection.ca_cert", "/certs/ca.pem"
+        );
+
+        let resolver = new CouchbaseConnectionResolver();
+        resolver.configure(config);
+        resolver.resolve(null, (err, connection) => {
+            assert.isNotNull(err);
+            assert.equal("NO_TLS", err.code);
+
+            done();
+        });
+    });
+
 });
\ No newline at end of file
@@ -1,9 +1,12 @@
 var assert = require('chai').assert;
 var async = require('async');
 
-import { AnyValueMap, FilterParams, PagingParams } from 'pip-services3-commons-node';
+import { AnyValueMap, FilterParams, PagingParams, IdGenerator } from 'pip-services3-commons-node';
 import { Dummy } from './Dummy';
 import { IDummyPersistence } from './IDummyPersistence';
+import { BulkResultStatus } from '../../src/persistence/BulkResultStatus';
+import { CouchbaseMutation } from '../../src/persistence/CouchbaseMutation';
+import { CouchbaseCounterOptions } from '../../src/persistence/CouchbaseCounterOptions';
 
 export class DummyPersistenceFixture {
     private _dummy1: Dummy = { id: null, key: "Key 1", content: "Content 1"};
@@ -206,6 +209,196 @@ export class DummyPersistenceFixture {
         ], callback);
     }
 
+    public testBulkOperations(callback: (err: any) => void): void {
+        let dummies: Dummy[];
+
+        async.series([
+            (callback) => {
+                // Create dummies in bulk
+                this._persistence.createMany(null, [this._dummy1, this._dummy2, null], (err, results) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(results, 3);
+                    assert.equal(BulkResultStatus.Succeeded, results[0].status);
+                    assert.equal(BulkResultStatus.Succeeded, results[1].status);
+                    assert.equal(this._dummy1.key, results[0].item.key);
+                    assert.equal(this._dummy2.key, results[1].item.key);
+
+                    // Null items are rejected as bad requests
+                    assert.equal(BulkResultStatus.Failed, results[2].status);
+                    assert.equal("NO_BULK_ITEM", results[2].error.code);
+
+                    dummies = results.slice(0, 2).map(result => result.item);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Update dummies in bulk including a missing one
+                let items = dummies.map(dummy => Object.assign({}, dummy, { content: "Updated Content" }));
+                items.push({ id: "ABC", key: "Key 3", content: "Content 3" });
+
+                this._persistence.updateMany(null, items, (err, results) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(results, 3);
+                    assert.equal(BulkResultStatus.Succeeded, results[0].status);
+                    assert.equal("Updated Content", results[0].item.content);
+                    assert.equal(BulkResultStatus.Succeeded, results[1].status);
+                    assert.equal(BulkResultStatus.NotFound, results[2].status);
+                    assert.equal("ABC", results[2].id);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Delete dummies in bulk including a missing one
+                this._persistence.deleteByIds(null, [dummies[0].id, dummies[1].id, "ABC"], (err, results) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(results, 3);
+                    assert.equal(BulkResultStatus.Succeeded, results[0].status);
+                    assert.equal(BulkResultStatus.Succeeded, results[1].status);
+                    assert.equal(BulkResultStatus.NotFound, results[2].status);
+
+                    callback(err);
+                });
+            }
+        ], callback);
+    }
+
+    public testSubdocumentOperations(callback: (err: any) => void): void {
+        let dummy1: Dummy;
+
+        async.series([
+            (callback) => {
+                // Create one dummy
+                this._persistence.create(null, this._dummy1, (err: any, result: Dummy) => {
+                    assert.isNull(err);
+
+                    dummy1 = result;
+                    assert.isNotNull(dummy1);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Change selected paths
+                let mutation = new CouchbaseMutation()
+                    .upsert("content", "Updated Content 1")
+                    .counter("stats.views", 2);
+
+                this._persistence.mutateIn(null, dummy1.id, mutation, (err, values) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(values, 2);
+                    assert.equal(2, values[1]);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Read selected paths
+                this._persistence.lookupIn(null, dummy1.id, ["content", "stats.views"], (err, item) => {
+                    assert.isNull(err);
+
+                    assert.isObject(item);
+                    assert.equal(dummy1.id, item.id);
+                    assert.equal("Updated Content 1", item.content);
+                    assert.equal(2, item.stats.views);
+                    assert.isUndefined(item.key);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Change missing dummy
+                let mutation = new CouchbaseMutation().upsert("content", "Content");
+
+                this._persistence.mutateIn(null, "ABC", mutation, (err, values) => {
+                    assert.isNull(err);
+                    assert.isNull(values);
+
+                    callback(err);
+                });
+            }
+        ], callback);
+    }
+
+    public testCounters(callback: (err: any) => void): void {
+        // Counters are kept by clear, so every run uses a new key
+        let key = "counter" + IdGenerator.nextLong();
+        let options = new CouchbaseCounterOptions();
+        options.initial = 10;
+
+        async.series([
+            (callback) => {
+                // Create counter with initial value
+                this._persistence.increment(null, key, 5, options, (err, value) => {
+                    assert.isNull(err);
+                    assert.equal(10, value);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Increment counter
+                this._persistence.increment(null, key, 5, options, (err, value) => {
+                    assert.isNull(err);
+                    assert.equal(15, value);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Decrement counter
+                this._persistence.decrement(null, key, 20, options, (err, value) => {
+                    assert.isNull(err);
+                    assert.equal(0, value);
+
+                    callback(err);
+                });
+            }
+        ], callback);
+    }
+
+    public testCountersInQueries(callback: (err: any) => void): void {
+        // Counters are kept by clear, so a fixed key checks leftovers from previous runs too
+        async.series([
+            (callback) => {
+                this._persistence.create(null, this._dummy1, (err, result) => {
+                    assert.isNull(err);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                this._persistence.increment(null, "visits", 1, null, (err, value) => {
+                    assert.isNull(err);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Counters are not returned as data items
+                this._persistence.getPageByFilter(null, new FilterParams(), new PagingParams(0, 100, true), (err, page) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(page.data, 1);
+                    assert.equal(1, page.total);
+                    assert.equal(this._dummy1.key, page.data[0].key);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                this._persistence.getCountByFilter(null, new FilterParams(), (err, count) => {
+                    assert.isNull(err);
+                    assert.equal(1, count);
+                    callback(err);
+                });
+            }
+        ], callback);
+    }
+
     public testPaging(callback: (err: any) => void): void {
         async.series([
             (callback) => {
@@ -234,4 +427,80 @@ export class DummyPersistenceFixture {
         ], callback);
     }
 
+    public testKeysetPaging(callback: (err: any) => void): void {
+        let token: string;
+
+        async.series([
+            (callback) => {
+                // Create dummies in reverse order of keys
+                let dummy3: Dummy = { id: null, key: "Key 3", content: "Content 3"};
+                let dummy4: Dummy = { id: null, key: null, content: "Content 4"};
+                this._persistence.createMany(null, [dummy3, this._dummy2, this._dummy1, dummy4], (err, results) => {
+                    assert.isNull(err);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Get the first page, null keys go first
+                this._persistence.getPageByToken(null, null, null, 1, (err, page) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(page.data, 1);
+                    assert.isNull(page.data[0].key);
+                    assert.isNotNull(page.token);
+
+                    token = page.token;
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Get the next page after the null key
+                this._persistence.getPageByToken(null, null, token, 2, (err, page) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(page.data, 2);
+                    assert.equal(this._dummy1.key, page.data[0].key);
+                    assert.equal(this._dummy2.key, page.data[1].key);
+                    assert.isNotNull(page.token);
+
+                    token = page.token;
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Try the token with another filter
+                let filter = FilterParams.fromTuples("key", "Key 3");
+                this._persistence.getPageByToken(null, filter, token, 2, (err, page) => {
+                    assert.isNotNull(err);
+                    assert.equal("PAGE_TOKEN_MISMATCH", err.code);
+
+                    callback();
+                });
+            },
+            (callback) => {
+                // Get the last page
+                this._persistence.getPageByToken(null, null, token, 2, (err, page) => {
+                    assert.isNull(err);
+
+                    assert.lengthOf(page.data, 1);
+                    assert.equal("Key 3", page.data[0].key);
+                    assert.isNull(page.token);
+
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Try a malformed token
+                this._persistence.getPageByToken(null, null, "ABC", 2, (err, page) => {
+                    assert.isNotNull(err);
+                    assert.equal("BAD_PAGE_TOKEN", err.code);
+
+                    callback();
+                });
+            }
+        ], callback);
+    }
+
 }
\ No newline at end of file
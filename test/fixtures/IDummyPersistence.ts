@@ -6,16 +6,27 @@ import { AnyValueMap } from 'pip-services3-commons-node';
 import { IGetter } from 'pip-services3-data-node';
 import { IWriter } from 'pip-services3-data-node';
 import { IPartialUpdater } from 'pip-services3-data-node';
+import { CouchbaseBulkResult } from '../../src/persistence/CouchbaseBulkResult';
+import { CouchbaseMutation } from '../../src/persistence/CouchbaseMutation';
+import { CouchbaseCounterOptions } from '../../src/persistence/CouchbaseCounterOptions';
+import { CouchbaseTokenPage } from '../../src/persistence/CouchbaseTokenPage';
 import { Dummy } from './Dummy';
 
 export interface IDummyPersistence extends IGetter<Dummy, String>, IWriter<Dummy, String>, IPartialUpdater<Dummy, String> {
     getPageByFilter(correlationId: string, filter: FilterParams, paging: PagingParams, callback: (err: any, page: DataPage<Dummy>) => void): void;
     getCountByFilter(correlationId: string, filter: FilterParams, callback: (err: any, count: number) => void): void;
+    getPageByToken(correlationId: string, filter: FilterParams, token: string, take: number, callback: (err: any, page: CouchbaseTokenPage<Dummy>) => void): void;
     getListByIds(correlationId: string, ids: string[], callback: (err: any, items: Dummy[]) => void): void;
     getOneById(correlationId: string, id: string, callback: (err: any, item: Dummy) => void): void;
     create(correlationId: string, item: Dummy, callback: (err: any, item: Dummy) => void): void;
     update(correlationId: string, item: Dummy, callback: (err: any, item: Dummy) => void): void;
     updatePartially(correlationId: string, id: string, data: AnyValueMap, callback: (err: any, item: Dummy) => void): void;
     deleteById(correlationId: string, id: string, callback: (err: any, item: Dummy) => void): void;
-    deleteByIds(correlationId: string, id: string[], callback: (err: any) => void): void;
+    deleteByIds(correlationId: string, id: string[], callback: (err: any, results?: CouchbaseBulkResult<Dummy, String>[]) => void): void;
+    createMany(correlationId: string, items: Dummy[], callback: (err: any, results: CouchbaseBulkResult<Dummy, String>[]) => void): void;
+    updateMany(correlationId: string, items: Dummy[], callback: (err: any, results: CouchbaseBulkResult<Dummy, String>[]) => void): void;
+    mutateIn(correlationId: string, id: string, mutation: CouchbaseMutation, callback: (err: any, values: any[]) => void): void;
+    lookupIn(correlationId: string, id: string, paths: string[], callback: (err: any, item: any) => void): void;
+    increment(correlationId: string, key: string, delta: number, options: CouchbaseCounterOptions, callback: (err: any, value: number) => void): void;
+    decrement(correlationId: string, key: string, delta: number, options: CouchbaseCounterOptions, callback: (err: any, value: number) => void): void;
 }
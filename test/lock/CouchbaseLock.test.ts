@@ -0,0 +1,127 @@
+let process = require('process');
+let assert = require('chai').assert;
+let async = require('async');
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { References } from 'pip-services3-commons-node';
+import { Descriptor } from 'pip-services3-commons-node';
+import { IdGenerator } from 'pip-services3-commons-node';
+import { CouchbaseConnection } from '../../src/persistence/CouchbaseConnection';
+import { CouchbaseLock } from '../../src/lock/CouchbaseLock';
+
+suite('CouchbaseLock', ()=> {
+    let connection: CouchbaseConnection;
+    let lock1: CouchbaseLock;
+    let lock2: CouchbaseLock;
+
+    let couchbaseUri = process.env['COUCHBASE_URI'];
+    let couchbaseHost = process.env['COUCHBASE_HOST'] || 'localhost';
+    let couchbasePort = process.env['COUCHBASE_PORT'] || 8091;
+    let couchbaseUser = process.env['COUCHBASE_USER'] || 'Administrator';
+    let couchbasePass = process.env['COUCHBASE_PASS'] || 'password';
+    if (couchbaseUri == null && couchbaseHost == null)
+        return;
+
+    setup((done) => {
+        let dbConfig = ConfigParams.fromTuples(
+            'bucket', 'test',
+            'options.auto_create', true,
+            'connection.uri', couchbaseUri,
+            'connection.host', couchbaseHost,
+            'connection.port', couchbasePort,
+            'credential.username', couchbaseUser,
+            'credential.password', couchbasePass
+        );
+
+        connection = new CouchbaseConnection();
+        connection.configure(dbConfig);
+
+        let references = References.fromTuples(
+            new Descriptor("pip-services", "connection", "couchbase", "default", "1.0"), connection
+        );
+
+        lock1 = new CouchbaseLock();
+        lock1.setReferences(references);
+        lock2 = new CouchbaseLock();
+        lock2.setReferences(references);
+
+        async.series([
+            (callback) => connection.open(null, callback),
+            (callback) => lock1.open(null, callback),
+            (callback) => lock2.open(null, callback)
+        ], done);
+    });
+
+    teardown((done) => {
+        async.series([
+            (callback) => lock1.close(null, callback),
+            (callback) => lock2.close(null, callback),
+            (callback) => connection.close(null, callback)
+        ], done);
+    });
+
+    test('Acquire and Release', (done) => {
+        let key = "lock" + IdGenerator.nextLong();
+
+        async.series([
+            (callback) => {
+                lock1.tryAcquireLock(null, key, 10000, (err, result) => {
+                    assert.isNull(err);
+                    assert.isTrue(result);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                lock2.tryAcquireLock(null, key, 10000, (err, result) => {
+                    assert.isNull(err);
+                    assert.isFalse(result);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                // Only the owner can release the lock
+                lock2.releaseLock(null, key, callback);
+            },
+            (callback) => {
+                lock2.tryAcquireLock(null, key, 10000, (err, result) => {
+                    assert.isNull(err);
+                    assert.isFalse(result);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                lock1.releaseLock(null, key, callback);
+            },
+            (callback) => {
+                lock2.tryAcquireLock(null, key, 10000, (err, result) => {
+                    assert.isNull(err);
+                    assert.isTrue(result);
+                    callback(err);
+                });
+            },
+            (callback) => {
+                lock2.releaseLock(null, key, callback);
+            }
+        ], done);
+    });
+
+    test('No Bucket', (done) => {
+        let lock = new CouchbaseLock();
+        lock.configure(ConfigParams.fromTuples(
+            'connection.uri', couchbaseUri,
+            'connection.host', couchbaseHost,
+            'connection.port', couchbasePort,
+            'credential.username', couchbaseUser,
+            'credential.password', couchbasePass
+        ));
+        lock.setReferences(new References());
+
+        lock.open(null, (err) => {
+            assert.isNotNull(err);
+            assert.equal("NO_BUCKET", err.code);
+            assert.isFalse(lock.isOpen());
+            done();
+        });
+    });
+
+});
@@ -0,0 +1,48 @@
+var assert = require('chai').assert;
+
+import { ConflictException } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
+import { NotFoundException } from 'pip-services3-commons-node';
+import { UnknownException } from 'pip-services3-commons-node';
+
+import { CouchbaseErrorMapper } from '../../src/persistence/CouchbaseErrorMapper';
+
+suite('CouchbaseErrorMapper', ()=> {
+
+    test('No Error', () => {
+        assert.isNull(CouchbaseErrorMapper.map("123", null));
+        assert.isFalse(CouchbaseErrorMapper.isRetriable(null));
+    });
+
+    test('Application Exceptions', () => {
+        let err = new ConflictException("123", "DOCUMENT_EXISTS", "Document exists");
+        assert.strictEqual(err, CouchbaseErrorMapper.map("456", err));
+        assert.isTrue(CouchbaseErrorMapper.isDocumentExists(err));
+        assert.isFalse(CouchbaseErrorMapper.isCasMismatch(err));
+
+        err = new NotFoundException("123", "DOCUMENT_NOT_FOUND", "Document not found");
+        assert.isTrue(CouchbaseErrorMapper.isDocumentNotFound(err));
+    });
+
+    test('Unknown Errors', () => {
+        let cause = new Error("Something went wrong");
+        let err = CouchbaseErrorMapper.map("123", cause);
+
+        assert.instanceOf(err, UnknownException);
+        assert.equal("123", err.correlation_id);
+        assert.equal("Something went wrong", err.message);
+        assert.equal(cause.message, err.cause);
+        assert.equal(cause.stack, err.stack_trace);
+        assert.isFalse(CouchbaseErrorMapper.isRetriable(err));
+    });
+
+    test('Retriable Errors', () => {
+        let err = new ConnectionException("123", "TIMEOUT", "Operation timed out")
+            .withDetails("retriable", true);
+        assert.isTrue(CouchbaseErrorMapper.isRetriable(err));
+
+        err = new ConnectionException("123", "CONNECT_FAILED", "Connection failed");
+        assert.isFalse(CouchbaseErrorMapper.isRetriable(err));
+    });
+
+});
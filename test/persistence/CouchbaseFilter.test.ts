@@ -0,0 +1,69 @@
+var assert = require('chai').assert;
+
+import { CouchbaseFilter } from '../../src/persistence/CouchbaseFilter';
+import { CouchbaseQueryParams } from '../../src/persistence/CouchbaseQueryParams';
+
+suite('CouchbaseFilter', ()=> {
+
+    test('Simple Conditions', () => {
+        let params = new CouchbaseQueryParams();
+        let filter = CouchbaseFilter.and(
+            CouchbaseFilter.eq("key", "Key 1"),
+            CouchbaseFilter.ne("status", "deleted"),
+            CouchbaseFilter.gt("count", 1),
+            CouchbaseFilter.lte("address.zip", 99999)
+        );
+
+        let condition = filter.toN1ql(params);
+        assert.equal("`key`=$1 AND `status`!=$2 AND `count`>$3 AND `address`.`zip`<=$4", condition);
+        assert.deepEqual(["Key 1", "deleted", 1, 99999], params.getValues());
+    });
+
+    test('Injection Attempt', () => {
+        let params = new CouchbaseQueryParams();
+        let filter = CouchbaseFilter.eq("key", "' OR '1'='1");
+
+        let condition = filter.toN1ql(params);
+        assert.equal("`key`=$1", condition);
+        assert.deepEqual(["' OR '1'='1"], params.getValues());
+    });
+
+    test('Groups', () => {
+        let params = new CouchbaseQueryParams();
+        let filter = CouchbaseFilter.and(
+            CouchbaseFilter.eq("key", "Key 1"),
+            CouchbaseFilter.or(
+                CouchbaseFilter.like("content", "A%"),
+                CouchbaseFilter.in("status", ["new", "active"])
+            ),
+            CouchbaseFilter.not(CouchbaseFilter.eq("locked", true))
+        );
+
+        let condition = filter.toN1ql(params);
+        assert.equal("`key`=$1 AND (`content` LIKE $2 OR `status` IN $3) AND NOT `locked`=$4", condition);
+        assert.deepEqual(["Key 1", "A%", ["new", "active"], true], params.getValues());
+    });
+
+    test('Range and Any', () => {
+        let params = new CouchbaseQueryParams(true);
+        let filter = CouchbaseFilter.and(
+            CouchbaseFilter.between("age", 18, 65),
+            CouchbaseFilter.between("score", null, 10),
+            CouchbaseFilter.between("rank", null, null),
+            CouchbaseFilter.any("tags", "t", CouchbaseFilter.eq("t", "vip"))
+        );
+
+        let condition = filter.toN1ql(params);
+        assert.equal("`age` BETWEEN $p1 AND $p2 AND `score`<=$p3 AND ANY `t` IN `tags` SATISFIES `t`=$p4 END", condition);
+        assert.deepEqual({ p1: 18, p2: 65, p3: 10, p4: "vip" }, params.getValues());
+    });
+
+    test('Empty Filter', () => {
+        let params = new CouchbaseQueryParams();
+        let filter = CouchbaseFilter.and(null, CouchbaseFilter.or());
+
+        assert.isNull(filter.toN1ql(params));
+        assert.equal(0, params.length());
+    });
+
+});
@@ -0,0 +1,70 @@
+var assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { CouchbaseKeyStrategy } from '../../src/persistence/CouchbaseKeyStrategy';
+
+suite('CouchbaseKeyStrategy', ()=> {
+
+    test('Default Keys', () => {
+        let strategy = new CouchbaseKeyStrategy();
+
+        assert.notEqual(strategy.generateKey("user", "s1"), strategy.generateKey("users", "1"));
+
+        let key = strategy.generateKey("users", "1");
+        assert.equal("users::1", key);
+        assert.equal("1", strategy.extractId("users", key));
+    });
+
+    test('Legacy Keys', () => {
+        let strategy = new CouchbaseKeyStrategy();
+        strategy.configure(ConfigParams.fromTuples("key_legacy", true));
+
+        let key = strategy.generateKey("users", "1");
+        assert.equal("users1", key);
+        assert.equal("1", strategy.extractId("users", key));
+    });
+
+    test('Separator and Suffix', () => {
+        let strategy = new CouchbaseKeyStrategy();
+        strategy.configure(ConfigParams.fromTuples(
+            "key_suffix", "v1"
+        ));
+
+        let key = strategy.generateKey("users", "1");
+        assert.equal("users::1::v1", key);
+        assert.equal("1", strategy.extractId("users", key));
+        assert.isNull(strategy.extractId("user", key));
+    });
+
+    test('No Prefix', () => {
+        let strategy = new CouchbaseKeyStrategy();
+        strategy.configure(ConfigParams.fromTuples(
+            "key_prefix", ""
+        ));
+
+        let key = strategy.generateKey("users", "1");
+        assert.equal("1", key);
+        assert.equal("1", strategy.extractId("users", key));
+    });
+
+    test('Hashed Keys', () => {
+        let strategy = new CouchbaseKeyStrategy();
+        strategy.configure(ConfigParams.fromTuples(
+            "key_separator", ":",
+            "key_hash", "md5"
+        ));
+
+        let key = strategy.generateKey("users", "1");
+        assert.equal("users:c4ca4238a0b923820dcc509a6f75849b", key);
+        assert.isFalse(strategy.isReversible());
+        assert.isNull(strategy.extractId("users", key));
+    });
+
+    test('Bad Hash', () => {
+        let strategy = new CouchbaseKeyStrategy();
+        assert.throws(() => {
+            strategy.configure(ConfigParams.fromTuples("key_hash", "crc32"));
+        });
+    });
+
+});
@@ -0,0 +1,31 @@
+var assert = require('chai').assert;
+
+import { CouchbaseMutation } from '../../src/persistence/CouchbaseMutation';
+
+suite('CouchbaseMutation', ()=> {
+
+    test('Operations', () => {
+        let mutation = new CouchbaseMutation()
+            .upsert("address.city", "Denver")
+            .remove("temp")
+            .arrayAppend("history", { action: "moved" })
+            .arrayAddUnique("tags", "vip")
+            .counter("visits", -1);
+
+        assert.isFalse(mutation.isEmpty());
+        assert.deepEqual([
+            { type: "upsert", path: "address.city", value: "Denver" },
+            { type: "remove", path: "temp", value: undefined },
+            { type: "arrayAppend", path: "history", value: { action: "moved" } },
+            { type: "arrayAddUnique", path: "tags", value: "vip" },
+            { type: "counter", path: "visits", value: -1 }
+        ], mutation.getOperations());
+    });
+
+    test('Empty Path', () => {
+        let mutation = new CouchbaseMutation();
+        assert.isTrue(mutation.isEmpty());
+        assert.throws(() => mutation.upsert("", 1));
+    });
+
+});
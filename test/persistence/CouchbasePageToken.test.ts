@@ -0,0 +1,50 @@
+var assert = require('chai').assert;
+
+import { CouchbasePageToken } from '../../src/persistence/CouchbasePageToken';
+
+suite('CouchbasePageToken', ()=> {
+
+    test('Encode and Decode', () => {
+        let filterHash = CouchbasePageToken.hashFilter("_c=$1", ["dummies"]);
+        let token = new CouchbasePageToken("2021-03-01T10:00:00Z", "dummies1", "create_time", true, filterHash).encode();
+        assert.match(token, /^[A-Za-z0-9_-]+$/);
+
+        let lastItem = CouchbasePageToken.decode("123", token);
+        assert.equal("2021-03-01T10:00:00Z", lastItem.sortValue);
+        assert.equal("dummies1", lastItem.key);
+        assert.equal("create_time", lastItem.sortField);
+        assert.isTrue(lastItem.descending);
+        assert.equal(filterHash, lastItem.filterHash);
+
+        // Null and missing sort values are kept apart
+        lastItem = CouchbasePageToken.decode("123", new CouchbasePageToken(null, "dummies2").encode());
+        assert.isNull(lastItem.sortValue);
+        assert.equal("dummies2", lastItem.key);
+
+        lastItem = CouchbasePageToken.decode("123", new CouchbasePageToken(undefined, "dummies3").encode());
+        assert.isUndefined(lastItem.sortValue);
+    });
+
+    test('Match Query', () => {
+        let filterHash = CouchbasePageToken.hashFilter("_c=$1", ["dummies"]);
+        let lastItem = new CouchbasePageToken("Key 1", "dummies1", "key", false, filterHash);
+
+        assert.isTrue(lastItem.matches("key", false, filterHash));
+        assert.isFalse(lastItem.matches("content", false, filterHash));
+        assert.isFalse(lastItem.matches("key", true, filterHash));
+        assert.isFalse(lastItem.matches("key", false, CouchbasePageToken.hashFilter("_c=$1", ["others"])));
+    });
+
+    test('Malformed Tokens', () => {
+        assert.throws(() => CouchbasePageToken.decode("123", "ABC"));
+        assert.throws(() => CouchbasePageToken.decode("123", Buffer.from('{"key":1}').toString("base64")));
+
+        try {
+            CouchbasePageToken.decode("123", "ABC");
+        } catch (ex) {
+            assert.equal("BAD_PAGE_TOKEN", ex.code);
+            assert.equal("123", ex.correlation_id);
+        }
+    });
+
+});
@@ -0,0 +1,61 @@
+var assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-node';
+import { ConnectionException } from 'pip-services3-commons-node';
+import { NotFoundException } from 'pip-services3-commons-node';
+
+import { CouchbaseRetryPolicy } from '../../src/persistence/CouchbaseRetryPolicy';
+
+suite('CouchbaseRetryPolicy', ()=> {
+
+    test('Retriable Errors', () => {
+        let policy = new CouchbaseRetryPolicy();
+
+        let err = new ConnectionException("123", "TIMEOUT", "Operation timed out");
+        assert.isTrue(policy.shouldRetry(err, 1));
+        assert.isTrue(policy.shouldRetry(err, 2));
+        assert.isFalse(policy.shouldRetry(err, 3));
+
+        let rebalanceErr: any = new Error("libcouchbase error 1038");
+        rebalanceErr.code = 1038;
+        assert.isTrue(policy.shouldRetry(rebalanceErr, 1));
+
+        assert.isFalse(policy.shouldRetry(null, 1));
+        assert.isFalse(policy.shouldRetry(new NotFoundException("123", "DOCUMENT_NOT_FOUND", "Not found"), 1));
+        assert.isFalse(policy.shouldRetry(new Error("Something went wrong"), 1));
+    });
+
+    test('Configured Errors', () => {
+        let policy = new CouchbaseRetryPolicy();
+        policy.configure(ConfigParams.fromTuples(
+            "retry_attempts", 5,
+            "retry_errors", "not_my_vbucket, couchbase_error"
+        ));
+
+        assert.equal(5, policy.getAttempts());
+        assert.isFalse(policy.shouldRetry(new ConnectionException("123", "TIMEOUT", "Operation timed out"), 1));
+        assert.isTrue(policy.shouldRetry(new ConnectionException("123", "COUCHBASE_ERROR", "Failed"), 4));
+    });
+
+    test('Timeouts', () => {
+        let policy = new CouchbaseRetryPolicy();
+        policy.configure(ConfigParams.fromTuples(
+            "retry_timeout", 100,
+            "retry_max_timeout", 300,
+            "retry_jitter", 0.5
+        ));
+
+        let timeout = policy.getTimeout(1);
+        assert.isTrue(timeout >= 50 && timeout <= 100);
+
+        timeout = policy.getTimeout(2);
+        assert.isTrue(timeout >= 100 && timeout <= 200);
+
+        timeout = policy.getTimeout(5);
+        assert.isTrue(timeout >= 150 && timeout <= 300);
+
+        policy.configure(ConfigParams.fromTuples("retry_jitter", 0));
+        assert.equal(200, policy.getTimeout(2));
+    });
+
+});
@@ -0,0 +1,19 @@
+var assert = require('chai').assert;
+
+import { CouchbaseSequenceGenerator } from '../../src/persistence/CouchbaseSequenceGenerator';
+import { DummyCouchbasePersistence } from './DummyCouchbasePersistence';
+
+suite('CouchbaseSequenceGenerator', ()=> {
+
+    test('Format', () => {
+        let persistence = new DummyCouchbasePersistence();
+
+        let sequence = new CouchbaseSequenceGenerator(persistence, "orders", "ORD-", 6);
+        assert.equal("ORD-000042", sequence.format(42));
+        assert.equal("ORD-1234567", sequence.format(1234567));
+
+        sequence = new CouchbaseSequenceGenerator(persistence, "orders");
+        assert.equal("42", sequence.format(42));
+    });
+
+});
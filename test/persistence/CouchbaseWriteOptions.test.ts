@@ -0,0 +1,71 @@
+var assert = require('chai').assert;
+
+import { ConfigParams } from 'pip-services3-commons-node';
+
+import { CouchbasePersistence } from '../../src/persistence/CouchbasePersistence';
+import { CouchbaseWriteOptions } from '../../src/persistence/CouchbaseWriteOptions';
+import { CouchbaseExpiry } from '../../src/persistence/CouchbaseExpiry';
+
+class TestCouchbasePersistence extends CouchbasePersistence<any> {
+    public constructor() {
+        super('test', 'dummies');
+    }
+
+    public composeWriteOptions(options?: CouchbaseWriteOptions, replace?: boolean): any {
+        return super.composeWriteOptions(options, replace);
+    }
+}
+
+suite('CouchbaseWriteOptions', ()=> {
+
+    test('Preserve Expiry on Replace', () => {
+        let persistence = new TestCouchbasePersistence();
+        persistence.configure(new ConfigParams());
+
+        // Preserving expiry needs Couchbase Server 7.0, so it is opt-in
+        assert.deepEqual({}, persistence.composeWriteOptions(null, true));
+
+        persistence = new TestCouchbasePersistence();
+        persistence.configure(ConfigParams.fromTuples("options.preserve_expiry", true));
+
+        assert.deepEqual({}, persistence.composeWriteOptions(null));
+        assert.deepEqual({ preserveExpiry: true }, persistence.composeWriteOptions(null, true));
+
+        // Explicit expiry overrides the stored one
+        let options = new CouchbaseWriteOptions();
+        options.expiry = 60;
+        assert.deepEqual({ expiry: 60 }, persistence.composeWriteOptions(options, true));
+
+        options.expiry = 0;
+        assert.deepEqual({}, persistence.composeWriteOptions(options, true));
+    });
+
+    test('Configured Expiry', () => {
+        let persistence = new TestCouchbasePersistence();
+        persistence.configure(ConfigParams.fromTuples("options.expiry", 3600));
+        assert.deepEqual({ expiry: 3600 }, persistence.composeWriteOptions(null, true));
+
+        persistence = new TestCouchbasePersistence();
+        persistence.configure(ConfigParams.fromTuples(
+            "options.expiry", 3600,
+            "options.preserve_expiry", true
+        ));
+        assert.deepEqual({ expiry: 3600 }, persistence.composeWriteOptions(null, true));
+    });
+
+    test('Expiry Longer than 30 Days', () => {
+        let persistence = new TestCouchbasePersistence();
+        persistence.configure(new ConfigParams());
+
+        let options = new CouchbaseWriteOptions();
+        options.expiry = CouchbaseExpiry.MaxRelativeExpiry;
+        assert.deepEqual({ expiry: CouchbaseExpiry.MaxRelativeExpiry }, persistence.composeWriteOptions(options));
+
+        // Longer expiries are absolute timestamps for Couchbase
+        options.expiry = 60 * 24 * 60 * 60;
+        let now = Math.floor(Date.now() / 1000);
+        let expiry = persistence.composeWriteOptions(options).expiry;
+        assert.isTrue(expiry >= now + options.expiry && expiry <= now + options.expiry + 1);
+    });
+
+});
@@ -1,4 +1,5 @@
 let process = require('process');
+let assert = require('chai').assert;
 
 import { ConfigParams } from 'pip-services3-commons-node';
 import { References } from 'pip-services3-commons-node';
@@ -81,4 +82,28 @@ suite('DummyCouchbaseConnection', ()=> {
         fixture.testPaging(done);
     });
 
+    test('Ping', (done) => {
+        connection.ping(null, (err, health) => {
+            assert.isNull(err);
+            assert.isTrue(health.healthy);
+            assert.equal("ok", health.services.kv.status);
+            assert.equal("ok", health.services.query.status);
+            assert.isTrue(connection.isOpen());
+            assert.isTrue(connection.isHealthy());
+
+            done();
+        });
+    });
+
+    test('Open Twice', (done) => {
+        let cluster = connection.getConnection();
+
+        connection.open(null, (err) => {
+            assert.isNull(err);
+            assert.strictEqual(cluster, connection.getConnection());
+
+            done();
+        });
+    });
+
 });
\ No newline at end of file
@@ -59,8 +59,74 @@ suite('DummyCouchbasePersistence', ()=> {
         fixture.testBatchOperations(done);
     });
 
+    test('Bulk Operations', (done) => {
+        fixture.testBulkOperations(done);
+    });
+
+    test('Subdocument Operations', (done) => {
+        fixture.testSubdocumentOperations(done);
+    });
+
+    test('Counters', (done) => {
+        fixture.testCounters(done);
+    });
+
     test('Paging', (done) => {
         fixture.testPaging(done);
     });
 
+    test('Keyset Paging', (done) => {
+        fixture.testKeysetPaging(done);
+    });
+
+});
+
+suite('DummyCouchbasePersistence with native collections', ()=> {
+    let persistence: DummyCouchbasePersistence;
+    let fixture: DummyPersistenceFixture;
+
+    let couchbaseUri = process.env['COUCHBASE_URI'];
+    let couchbaseHost = process.env['COUCHBASE_HOST'] || 'localhost';
+    let couchbasePort = process.env['COUCHBASE_PORT'] || 8091;
+    let couchbaseUser = process.env['COUCHBASE_USER'] || 'Administrator';
+    let couchbasePass = process.env['COUCHBASE_PASS'] || 'password';
+    if (couchbaseUri == null && couchbaseHost == null)
+        return;
+
+    setup((done) => {
+        let dbConfig = ConfigParams.fromTuples(
+            'options.auto_create', true,
+            'options.auto_index', true,
+            'options.native_collections', true,
+            'connection.uri', couchbaseUri,
+            'connection.host', couchbaseHost,
+            'connection.port', couchbasePort,
+            'credential.username', couchbaseUser,
+            'credential.password', couchbasePass
+        );
+
+        persistence = new DummyCouchbasePersistence();
+        persistence.configure(dbConfig);
+
+        fixture = new DummyPersistenceFixture(persistence);
+
+        persistence.open(null, (err: any) => {
+            if (err) {
+                done(err);
+                return;
+            }
+            persistence.clear(null, (err) => {
+                done(err);
+            });
+        });
+    });
+
+    teardown((done) => {
+        persistence.close(null, done);
+    });
+
+    test('Counters in Queries', (done) => {
+        fixture.testCountersInQueries(done);
+    });
+
 });
\ No newline at end of file
@@ -2,7 +2,9 @@ import { FilterParams } from 'pip-services3-commons-node';
 import { PagingParams } from 'pip-services3-commons-node';
 import { DataPage } from 'pip-services3-commons-node';
 
+import { CouchbaseTokenPage } from '../../src/persistence/CouchbaseTokenPage';
 import { IdentifiableCouchbasePersistence } from '../../src/persistence/IdentifiableCouchbasePersistence';
+import { CouchbaseFilter } from '../../src/persistence/CouchbaseFilter';
 import { Dummy } from '../fixtures/Dummy';
 import { IDummyPersistence } from '../fixtures/IDummyPersistence';
 
@@ -12,6 +14,7 @@ export class DummyCouchbasePersistence
 {
     public constructor() {
         super('test', 'dummies');
+        this.ensureIndex('idx_dummies_key', ['_c', 'key'], null, true);
     }
 
     public getPageByFilter(correlationId: string, filter: FilterParams, paging: PagingParams, 
@@ -19,11 +22,7 @@ export class DummyCouchbasePersistence
         filter = filter || new FilterParams();
         let key = filter.getAsNullableString('key');
 
-        let filterCondition = "";
-        let filterParams = [];
-        if (key != null) {
-            filterCondition += "key='" + key + "'";
-        }
+        let filterCondition = key != null ? CouchbaseFilter.eq('key', key) : null;
 
         super.getPageByFilter(correlationId, filterCondition, paging, null, null, callback);
     }
@@ -33,13 +32,19 @@ export class DummyCouchbasePersistence
         filter = filter || new FilterParams();
         let key = filter.getAsNullableString('key');
 
-        let filterCondition = "";
-        let filterParams = [];
-        if (key != null) {
-            filterCondition += "key='" + key + "'";
-        }
+        let filterCondition = key != null ? CouchbaseFilter.eq('key', key) : null;
 
         super.getCountByFilter(correlationId, filterCondition, callback);
     }
 
+    public getPageByToken(correlationId: string, filter: FilterParams, token: string, take: number,
+        callback: (err: any, page: CouchbaseTokenPage<Dummy>) => void): void {
+        filter = filter || new FilterParams();
+        let key = filter.getAsNullableString('key');
+
+        let filterCondition = key != null ? CouchbaseFilter.eq('key', key) : null;
+
+        super.getPageByToken(correlationId, filterCondition, token, take, 'key', false, callback);
+    }
+
 }
\ No newline at end of file